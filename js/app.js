@@ -3,13 +3,28 @@
    Initialization and global event handling
    ============================================ */
 
+// Optional channel manifest, replaces the built-in PROJECTS when present
+const CHANNEL_MANIFEST = 'channels.json';
+
+// WebGL CRT shader (falls back to the CSS overlays without WebGL)
+const USE_WEBGL_CRT = true;
+
 /**
  * RetroTV Application
- * Main entry point
+ * Main entry point, and the public API on window.retroTV:
+ *
+ *   retroTV.on('channel:change', ({ from, to }) => {});
+ *   retroTV.tune('xjson');
+ *
+ * Events: ready, power:on, power:off, channel:change, transition:start,
+ * transition:end, preview:load, preview:error, volume:change
  */
-class RetroTVApp {
+class RetroTVApp extends EventEmitter {
   constructor() {
+    super();
     this.tvController = null;
+    this.remote = null;
+    this.crt = null;
     this.isInitialized = false;
   }
 
@@ -35,11 +50,36 @@ class RetroTVApp {
   setup() {
     // Initialize TV Controller
     this.tvController = new TVController();
+    this.tvController.onEvent = (name, detail) => this.emit(name, detail);
     this.tvController.init();
 
+    // CRT shader pass over the screen
+    if (USE_WEBGL_CRT) {
+      this.crt = new CRTRenderer(document.getElementById('tvScreen'));
+      if (!this.crt.init()) {
+        this.crt = null;
+      }
+    }
+
+    // Safe mode also stills the shader's interlace flicker
+    if (this.crt) {
+      const flicker = this.crt.params.flicker;
+      this.tvController.onSafeModeChange = (enabled) => {
+        this.crt?.setParams({ flicker: enabled ? 0 : flicker });
+      };
+      this.tvController.onSafeModeChange(this.tvController.safeMode);
+    }
+
+    // Load external channel manifest (falls back to built-in channels)
+    const channelsReady = window.ProjectData.loadManifest(CHANNEL_MANIFEST)
+      .then(replaced => {
+        if (replaced) this.tvController.refreshChannels();
+      });
+
     // Auto turn on TV after short delay (without sound - browser blocks autoplay)
+    // Wait for channels so a deep link lands on the right one
     setTimeout(() => {
-      this.tvController.powerOnSilent();
+      channelsReady.finally(() => this.tvController.powerOnSilent());
     }, 500);
 
     // Initialize audio on first user interaction
@@ -48,10 +88,22 @@ class RetroTVApp {
     // Handle visibility changes (pause when tab hidden)
     this.handleVisibility();
 
-    // Add swipe gestures for mobile
-    this.addSwipeGestures();
+    // On-screen remote control
+    this.remote = new RemoteControl(this.tvController);
+    this.remote.init();
+
+    // Game controllers (polls only while one is connected)
+    if (GamepadInput.isSupported()) {
+      this.tvController.input.addSource('gamepad', new GamepadInput());
+    }
+
+    // MIDI controllers (access is only requested once something is learned)
+    if (MidiInput.isSupported()) {
+      this.tvController.input.addSource('midi', new MidiInput());
+    }
 
     this.isInitialized = true;
+    this.emit('ready');
     console.log('Retro TV Portfolio - Ready!');
     console.log('Press SPACE to power on/off, Arrow keys to change channels');
   }
@@ -120,53 +172,7 @@ class RetroTVApp {
     });
   }
 
-  /**
-   * Add swipe gestures for mobile channel switching
-   */
-  addSwipeGestures() {
-    const screen = document.getElementById('tvScreen');
-    if (!screen) return;
-
-    let touchStartX = 0;
-    let touchStartY = 0;
-    const minSwipeDistance = 50;
-
-    screen.addEventListener('touchstart', (e) => {
-      touchStartX = e.touches[0].clientX;
-      touchStartY = e.touches[0].clientY;
-    }, { passive: true });
-
-    screen.addEventListener('touchend', (e) => {
-      if (!this.tvController?.isOn) return;
-
-      const touchEndX = e.changedTouches[0].clientX;
-      const touchEndY = e.changedTouches[0].clientY;
-
-      const deltaX = touchEndX - touchStartX;
-      const deltaY = touchEndY - touchStartY;
-
-      // Check if horizontal swipe
-      if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > minSwipeDistance) {
-        if (deltaX > 0) {
-          // Swipe right - previous channel
-          this.tvController.prevChannel();
-        } else {
-          // Swipe left - next channel
-          this.tvController.nextChannel();
-        }
-      }
-      // Check if vertical swipe
-      else if (Math.abs(deltaY) > Math.abs(deltaX) && Math.abs(deltaY) > minSwipeDistance) {
-        if (deltaY > 0) {
-          // Swipe down - previous channel
-          this.tvController.prevChannel();
-        } else {
-          // Swipe up - next channel
-          this.tvController.nextChannel();
-        }
-      }
-    }, { passive: true });
-  }
+  // ======= PUBLIC API =======
 
   /**
    * Get TV controller instance
@@ -174,11 +180,56 @@ class RetroTVApp {
   getController() {
     return this.tvController;
   }
+
+  /**
+   * Tune to a channel (preselects it while the TV is off)
+   * @param {number|string} id - Channel number or slug
+   * @returns {Promise<boolean>} False for an unknown channel
+   */
+  async tune(id) {
+    return this.tvController?.tune(id) ?? false;
+  }
+
+  /**
+   * Turn the TV on or off
+   * @param {boolean} [on] - Omit to toggle
+   */
+  async power(on) {
+    const tv = this.tvController;
+    if (!tv) return;
+
+    // Same path as the power button, so sound starts too
+    if (on === undefined || Boolean(on) !== tv.isOn) {
+      await tv.togglePower();
+    }
+  }
+
+  /**
+   * Set the volume
+   * @param {number} value - Volume 0-100
+   */
+  setVolume(value) {
+    this.tvController?.setVolume(Number(value));
+  }
+
+  /**
+   * Snapshot of the TV's state
+   */
+  getState() {
+    const tv = this.tvController;
+    return {
+      isOn: tv?.isOn ?? false,
+      channel: tv?.getChannelForEvent() ?? null,
+      volume: tv?.volume ?? 0,
+      muted: tv?.audio?.muted ?? false,
+      safeMode: tv?.safeMode ?? false
+    };
+  }
 }
 
 // Create and initialize app
 const app = new RetroTVApp();
 app.init();
 
-// Expose to global scope for debugging
+// Public API - events, commands and the controller
 window.retroTV = app;
@@ -8,10 +8,24 @@
  * Manages TV sound effects with user interaction requirement
  */
 class AudioManager {
-  constructor() {
+  /**
+   * @param {Object} options - All optional:
+   *   - root: Document or element holding the <audio> elements (default document)
+   *   - storageKey: localStorage key for volume, mute and tone (null to not remember them)
+   *   - audioContext: Existing AudioContext to play through (one is created on init otherwise)
+   */
+  constructor(options = {}) {
+    this.root = options.root ?? document;
     this.enabled = false;
     this.initialized = false;
     this.volume = 0.5;
+    this.muted = false;
+    this.tone = true; // CRT speaker filter on the master bus
+
+    // Persisted settings
+    this.storageKey = options.storageKey === undefined ? 'retroTV.audio' : options.storageKey;
+    this.soundEnabled = true; // User preference, applied once initialized
+    this.restoreSettings();
 
     // Audio elements
     this.sounds = {
@@ -22,7 +36,24 @@ class AudioManager {
     };
 
     // Fallback: Generate sounds programmatically if files not found
-    this.audioContext = null;
+    this.audioContext = options.audioContext ?? null;
+    this.ownsContext = !this.audioContext; // Close it in destroy() only if we made it
+
+    // Master bus: gain -> (CRT speaker filter) -> compressor -> destination
+    // Everything, including <audio> elements, plays through this.output
+    this.bus = {
+      gain: null,
+      highpass: null,
+      lowpass: null,
+      compressor: null
+    };
+    this.output = null;
+
+    // Looping static hiss (generated fallback for the static sound)
+    this.hiss = null;        // { source, gain } while playing
+    this.noiseBuffer = null; // Cached 1s white noise loop
+    this.staticLevel = 1;    // 0-1, follows StaticEffect.intensity
+    this.staticOn = false;   // Static requested and not stopped since
   }
 
   /**
@@ -32,27 +63,89 @@ class AudioManager {
     if (this.initialized) return;
 
     // Get audio elements from DOM
-    this.sounds.click = document.getElementById('audioClick');
-    this.sounds.static = document.getElementById('audioStatic');
-    this.sounds.powerOn = document.getElementById('audioPowerOn');
-    this.sounds.powerOff = document.getElementById('audioPowerOff');
+    this.sounds.click = this.root.querySelector('#audioClick');
+    this.sounds.static = this.root.querySelector('#audioStatic');
+    this.sounds.powerOn = this.root.querySelector('#audioPowerOn');
+    this.sounds.powerOff = this.root.querySelector('#audioPowerOff');
 
-    // Set volumes
-    Object.values(this.sounds).forEach(sound => {
-      if (sound) {
-        sound.volume = this.volume;
-      }
-    });
+    // Restore saved settings
+    this.restoreSettings();
 
-    // Create AudioContext for generated sounds
+    // Create AudioContext and master bus
     try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.audioContext = this.audioContext ?? new (window.AudioContext || window.webkitAudioContext)();
+      this.createMasterBus();
+      this.connectMediaElements();
     } catch (e) {
       console.log('Web Audio API not supported');
     }
 
+    this.applyVolume();
+
     this.initialized = true;
-    this.enabled = true;
+    this.enabled = this.soundEnabled;
+  }
+
+  /**
+   * Build the master bus all sounds are routed through
+   */
+  createMasterBus() {
+    const ctx = this.audioContext;
+
+    this.bus.gain = ctx.createGain();
+
+    // Small CRT speaker: no bass, rolled-off highs
+    this.bus.highpass = ctx.createBiquadFilter();
+    this.bus.highpass.type = 'highpass';
+    this.bus.highpass.frequency.value = 180;
+
+    this.bus.lowpass = ctx.createBiquadFilter();
+    this.bus.lowpass.type = 'lowpass';
+    this.bus.lowpass.frequency.value = 3500;
+    this.bus.lowpass.Q.value = 1.2;
+
+    this.bus.compressor = ctx.createDynamicsCompressor();
+    this.bus.compressor.threshold.value = -18;
+    this.bus.compressor.ratio.value = 4;
+
+    this.bus.highpass.connect(this.bus.lowpass);
+    this.bus.compressor.connect(ctx.destination);
+    this.routeTone();
+
+    this.output = this.bus.gain;
+  }
+
+  /**
+   * Wire the master gain through or around the speaker filter
+   */
+  routeTone() {
+    const { gain, highpass, lowpass, compressor } = this.bus;
+    if (!gain) return;
+
+    gain.disconnect();
+    lowpass.disconnect();
+
+    if (this.tone) {
+      gain.connect(highpass);
+      lowpass.connect(compressor);
+    } else {
+      gain.connect(compressor);
+    }
+  }
+
+  /**
+   * Route <audio> elements into the master bus
+   */
+  connectMediaElements() {
+    Object.values(this.sounds).forEach(sound => {
+      if (!sound) return;
+
+      const source = this.audioContext.createMediaElementSource(sound);
+      source.connect(this.bus.gain);
+
+      // Level is now set by the master gain
+      sound.volume = 1;
+    });
   }
 
   /**
@@ -60,10 +153,12 @@ class AudioManager {
    * @param {boolean} enabled
    */
   setEnabled(enabled) {
-    this.enabled = enabled;
+    this.soundEnabled = enabled;
+    this.enabled = enabled && this.initialized;
     if (!enabled) {
       this.stopAll();
     }
+    this.saveSettings();
   }
 
   /**
@@ -72,13 +167,113 @@ class AudioManager {
    */
   setVolume(vol) {
     this.volume = Math.max(0, Math.min(1, vol));
+    this.applyVolume();
+    this.saveSettings();
+  }
+
+  /**
+   * Mute/unmute without losing the volume level
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.applyVolume();
+    this.saveSettings();
+  }
+
+  /**
+   * Toggle mute
+   * @returns {boolean} New muted state
+   */
+  toggleMute() {
+    this.setMuted(!this.muted);
+    return this.muted;
+  }
+
+  /**
+   * Turn the CRT speaker filter on/off
+   * @param {boolean} enabled
+   */
+  setTone(enabled) {
+    this.tone = enabled;
+    this.routeTone();
+    this.saveSettings();
+  }
+
+  /**
+   * Volume actually sent to the speakers (0 when muted)
+   * @returns {number} Volume 0-1
+   */
+  getOutputVolume() {
+    return this.muted ? 0 : this.volume;
+  }
+
+  /**
+   * Push the output volume to the master bus (or the audio elements
+   * directly when Web Audio is unavailable)
+   */
+  applyVolume() {
+    if (this.bus.gain) {
+      // Short ramp so changes apply to playing sounds without clicks
+      this.bus.gain.gain.setTargetAtTime(this.getOutputVolume(), this.audioContext.currentTime, 0.02);
+      return;
+    }
+
     Object.values(this.sounds).forEach(sound => {
       if (sound) {
-        sound.volume = this.volume;
+        sound.volume = this.getOutputVolume();
       }
     });
   }
 
+  // ======= SETTINGS =======
+
+  /**
+   * Load volume, mute and enabled state from localStorage
+   */
+  restoreSettings() {
+    if (!this.storageKey) return;
+
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (e) {
+      // Ignore unreadable storage
+    }
+    if (!saved) return;
+
+    if (typeof saved.volume === 'number') {
+      this.volume = Math.max(0, Math.min(1, saved.volume));
+    }
+    if (typeof saved.muted === 'boolean') {
+      this.muted = saved.muted;
+    }
+    if (typeof saved.enabled === 'boolean') {
+      this.soundEnabled = saved.enabled;
+    }
+    if (typeof saved.tone === 'boolean') {
+      this.tone = saved.tone;
+    }
+  }
+
+  /**
+   * Save volume, mute and enabled state to localStorage
+   */
+  saveSettings() {
+    if (!this.storageKey) return;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        volume: this.volume,
+        muted: this.muted,
+        enabled: this.soundEnabled,
+        tone: this.tone
+      }));
+    } catch (e) {
+      // Storage may be unavailable (private mode)
+    }
+  }
+
   /**
    * Play click sound
    */
@@ -98,21 +293,67 @@ class AudioManager {
    * @param {boolean} play - Start or stop
    */
   playStatic(play = true) {
-    if (!this.enabled) return;
-
-    if (this.sounds.static) {
-      if (play) {
-        this.sounds.static.currentTime = 0;
-        this.sounds.static.play().catch(() => {});
-      } else {
+    // Stopping is always allowed so nothing keeps hissing after a disable
+    if (!play) {
+      this.staticOn = false;
+      if (this.sounds.static) {
         this.sounds.static.pause();
         this.sounds.static.currentTime = 0;
       }
-    } else if (play) {
-      this.generateStatic();
+      this.stopStaticHiss();
+      return;
+    }
+
+    if (!this.enabled) return;
+    this.staticOn = true;
+
+    if (this.sounds.static) {
+      this.sounds.static.currentTime = 0;
+      this.sounds.static.loop = true;
+      this.sounds.static.volume = this.bus.gain ? this.staticLevel : this.getOutputVolume() * this.staticLevel;
+      this.sounds.static.play().catch((e) => {
+        // AbortError: stopped again before it started - don't fall back to the hiss
+        if (e.name === 'AbortError' || !this.staticOn) return;
+        this.startStaticHiss();
+      });
+    } else {
+      this.startStaticHiss();
     }
   }
 
+  /**
+   * Set static loudness, e.g. to follow StaticEffect.intensity
+   * @param {number} level - 0-1
+   */
+  setStaticLevel(level) {
+    this.staticLevel = Math.max(0, Math.min(1, level));
+
+    if (this.hiss) {
+      this.hiss.gain.gain.setTargetAtTime(this.getHissGain(), this.audioContext.currentTime, 0.03);
+    } else if (this.sounds.static) {
+      this.sounds.static.volume = this.bus.gain ? this.staticLevel : this.getOutputVolume() * this.staticLevel;
+    }
+  }
+
+  /**
+   * Ramp static loudness over time
+   * @param {number} level - Target level 0-1
+   * @param {number} duration - Ramp time in ms
+   */
+  fadeStatic(level, duration = 500) {
+    this.staticLevel = Math.max(0, Math.min(1, level));
+    if (!this.hiss) {
+      this.setStaticLevel(level);
+      return;
+    }
+
+    const param = this.hiss.gain.gain;
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(this.getHissGain(), now + duration / 1000);
+  }
+
   /**
    * Play power on sound
    */
@@ -145,21 +386,44 @@ class AudioManager {
    * Stop all sounds
    */
   stopAll() {
+    this.staticOn = false;
     Object.values(this.sounds).forEach(sound => {
       if (sound) {
         sound.pause();
         sound.currentTime = 0;
       }
     });
+    this.stopStaticHiss();
+  }
+
+  /**
+   * Cleanup - stop everything and release the audio graph
+   */
+  destroy() {
+    this.stopAll();
+    this.bus.gain?.disconnect();
+    this.bus.compressor?.disconnect();
+    Object.keys(this.bus).forEach(key => {
+      this.bus[key] = null;
+    });
+
+    if (this.ownsContext) {
+      this.audioContext?.close();
+      this.audioContext = null;
+    }
+    this.output = null;
+    this.initialized = false;
+    this.enabled = false;
   }
 
   // ======= GENERATED SOUNDS (Fallback) =======
+  // Levels below are relative; the master bus applies volume and mute.
 
   /**
    * Generate mechanical TV button click sound
    */
   generateClick() {
-    if (!this.audioContext) return;
+    if (!this.output) return;
 
     const ctx = this.audioContext;
     const now = ctx.currentTime;
@@ -181,12 +445,12 @@ class AudioManager {
     noiseFilter.Q.value = 2;
 
     const noiseGain = ctx.createGain();
-    noiseGain.gain.setValueAtTime(this.volume * 0.4, now);
+    noiseGain.gain.setValueAtTime(0.4, now);
     noiseGain.gain.exponentialRampToValueAtTime(0.001, now + 0.03);
 
     noiseSource.connect(noiseFilter);
     noiseFilter.connect(noiseGain);
-    noiseGain.connect(ctx.destination);
+    noiseGain.connect(this.output);
     noiseSource.start(now);
 
     // Low thump for mechanical weight
@@ -195,11 +459,11 @@ class AudioManager {
     thump.type = 'sine';
     thump.frequency.setValueAtTime(150, now);
     thump.frequency.exponentialRampToValueAtTime(60, now + 0.04);
-    thumpGain.gain.setValueAtTime(this.volume * 0.3, now);
+    thumpGain.gain.setValueAtTime(0.3, now);
     thumpGain.gain.exponentialRampToValueAtTime(0.001, now + 0.04);
 
     thump.connect(thumpGain);
-    thumpGain.connect(ctx.destination);
+    thumpGain.connect(this.output);
     thump.start(now);
     thump.stop(now + 0.05);
 
@@ -209,20 +473,84 @@ class AudioManager {
     click.type = 'square';
     click.frequency.setValueAtTime(2500, now);
     click.frequency.exponentialRampToValueAtTime(1200, now + 0.008);
-    clickGain.gain.setValueAtTime(this.volume * 0.08, now);
+    clickGain.gain.setValueAtTime(0.08, now);
     clickGain.gain.exponentialRampToValueAtTime(0.001, now + 0.01);
 
     click.connect(clickGain);
-    clickGain.connect(ctx.destination);
+    clickGain.connect(this.output);
     click.start(now);
     click.stop(now + 0.015);
   }
 
+  /**
+   * Start the looping static hiss (no-op if already playing)
+   */
+  startStaticHiss() {
+    if (!this.output || this.hiss) return;
+
+    const ctx = this.audioContext;
+
+    // One second of white noise, looped, is indistinguishable from endless noise
+    if (!this.noiseBuffer) {
+      this.noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+
+    const source = ctx.createBufferSource();
+    source.buffer = this.noiseBuffer;
+    source.loop = true;
+
+    // Take the edge off so it sounds like a tube, not a test tone
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 6000;
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, ctx.currentTime);
+    gain.gain.linearRampToValueAtTime(this.getHissGain(), ctx.currentTime + 0.02);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.output);
+    source.start();
+
+    this.hiss = { source, gain };
+  }
+
+  /**
+   * Stop the looping static hiss
+   * @param {number} fade - Fade-out time in ms (0 = quick click-free stop)
+   */
+  stopStaticHiss(fade = 0) {
+    if (!this.hiss) return;
+
+    const { source, gain } = this.hiss;
+    const now = this.audioContext.currentTime;
+    const end = now + Math.max(0.02, fade / 1000);
+
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(0, end);
+    source.stop(end);
+
+    this.hiss = null;
+  }
+
+  /**
+   * Hiss gain for the current static level
+   */
+  getHissGain() {
+    return this.staticLevel * 0.2;
+  }
+
   /**
    * Generate static noise burst
    */
   generateStatic() {
-    if (!this.audioContext) return;
+    if (!this.output) return;
 
     const ctx = this.audioContext;
     const duration = 0.3;
@@ -240,9 +568,9 @@ class AudioManager {
 
     source.buffer = buffer;
     source.connect(gainNode);
-    gainNode.connect(ctx.destination);
+    gainNode.connect(this.output);
 
-    gainNode.gain.setValueAtTime(this.volume * 0.2, ctx.currentTime);
+    gainNode.gain.setValueAtTime(0.2, ctx.currentTime);
     gainNode.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + duration);
 
     source.start(ctx.currentTime);
@@ -252,7 +580,7 @@ class AudioManager {
    * Generate power on sound (rising tone + static)
    */
   generatePowerOn() {
-    if (!this.audioContext) return;
+    if (!this.output) return;
 
     const ctx = this.audioContext;
 
@@ -262,13 +590,13 @@ class AudioManager {
 
     oscillator.type = 'sawtooth';
     oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
+    gainNode.connect(this.output);
 
     oscillator.frequency.setValueAtTime(50, ctx.currentTime);
     oscillator.frequency.exponentialRampToValueAtTime(100, ctx.currentTime + 0.5);
 
     gainNode.gain.setValueAtTime(0, ctx.currentTime);
-    gainNode.gain.linearRampToValueAtTime(this.volume * 0.1, ctx.currentTime + 0.2);
+    gainNode.gain.linearRampToValueAtTime(0.1, ctx.currentTime + 0.2);
     gainNode.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.5);
 
     oscillator.start(ctx.currentTime);
@@ -282,7 +610,7 @@ class AudioManager {
    * Generate power off sound (falling tone + click)
    */
   generatePowerOff() {
-    if (!this.audioContext) return;
+    if (!this.output) return;
 
     const ctx = this.audioContext;
 
@@ -292,12 +620,12 @@ class AudioManager {
 
     oscillator.type = 'sine';
     oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
+    gainNode.connect(this.output);
 
     oscillator.frequency.setValueAtTime(200, ctx.currentTime);
     oscillator.frequency.exponentialRampToValueAtTime(30, ctx.currentTime + 0.3);
 
-    gainNode.gain.setValueAtTime(this.volume * 0.15, ctx.currentTime);
+    gainNode.gain.setValueAtTime(0.15, ctx.currentTime);
     gainNode.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.3);
 
     oscillator.start(ctx.currentTime);
@@ -305,5 +633,6 @@ class AudioManager {
   }
 }
 
-// Create global instance
+// Export globally, with the page's shared instance
+window.AudioManager = AudioManager;
 window.audioManager = new AudioManager();
@@ -0,0 +1,86 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Channel Router
+   Deep links via URL hash and History API
+   ============================================ */
+
+/**
+ * ChannelRouter Class
+ * Maps URL hashes to channels and back
+ *
+ * Supported hashes:
+ * - #/channel/3  - Channel by number
+ * - #/xjson      - Channel by slug (see ProjectData.getSlug)
+ */
+class ChannelRouter {
+  constructor(options = {}) {
+    this.data = options.data ?? window.ProjectData;
+    this.onNavigate = options.onNavigate ?? (() => {});
+
+    // Bind methods
+    this.onPopState = this.onPopState.bind(this);
+  }
+
+  /**
+   * Start listening for back/forward and manual hash edits
+   */
+  init() {
+    window.addEventListener('popstate', this.onPopState);
+  }
+
+  /**
+   * Resolve a hash to a channel
+   * @param {string} hash - URL hash (defaults to the current one)
+   * @returns {Object|null} { channel } for a known channel, { unknown } for
+   *   a route with no matching channel, or null when there is no route
+   */
+  resolve(hash = window.location.hash) {
+    const path = decodeURIComponent(hash.replace(/^#\/?/, '')).trim();
+    if (!path) return null;
+
+    const numbered = path.match(/^channel\/(\d+)$/i);
+    if (numbered) {
+      const channel = Number(numbered[1]);
+      return this.data.getProject(channel) ? { channel } : { unknown: path };
+    }
+
+    const project = this.data.getProjectBySlug(path);
+    return project ? { channel: project.id } : { unknown: path };
+  }
+
+  /**
+   * Get the canonical hash for a channel
+   * @param {number} channel - Channel number
+   * @returns {string} Hash
+   */
+  hashFor(channel) {
+    return `#/channel/${channel}`;
+  }
+
+  /**
+   * Record a channel change as a new history entry
+   * @param {number} channel - Channel number
+   */
+  push(channel) {
+    const hash = this.hashFor(channel);
+    if (window.location.hash === hash) return;
+
+    history.pushState({ channel }, '', hash);
+  }
+
+  /**
+   * Handle back/forward navigation
+   */
+  onPopState() {
+    this.onNavigate(this.resolve());
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    window.removeEventListener('popstate', this.onPopState);
+  }
+}
+
+// Export globally
+window.ChannelRouter = ChannelRouter;
@@ -0,0 +1,427 @@
+/* ============================================
+   RETRO TV PORTFOLIO - CRT Renderer
+   WebGL CRT shader with CSS overlay fallback
+   ============================================ */
+
+/**
+ * Vertex shader - full-screen quad
+ */
+const CRT_VERTEX_SHADER = `
+  attribute vec2 aPosition;
+  varying vec2 vUv;
+
+  void main() {
+    vUv = aPosition * 0.5 + 0.5;
+    gl_Position = vec4(aPosition, 0.0, 1.0);
+  }
+`;
+
+/**
+ * Fragment shader - tube light pattern
+ * Drawn with mix-blend-mode: multiply, so white leaves the picture alone
+ * and darker/colored values shape it into phosphor stripes.
+ */
+const CRT_FRAGMENT_SHADER = `
+  precision mediump float;
+
+  uniform float uFrame;
+  uniform float uCurvature;
+  uniform float uMask;
+  uniform float uScanlines;
+  uniform float uFlicker;
+  uniform float uVignette;
+  varying vec2 vUv;
+
+  vec2 barrel(vec2 uv) {
+    vec2 c = uv * 2.0 - 1.0;
+    c *= 1.0 + uCurvature * dot(c, c);
+    return c * 0.5 + 0.5;
+  }
+
+  void main() {
+    vec2 uv = barrel(vUv);
+
+    // Outside the curved glass
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+      gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+      return;
+    }
+
+    vec2 px = gl_FragCoord.xy;
+
+    // RGB aperture grille - one phosphor stripe per column
+    float column = mod(floor(px.x), 3.0);
+    vec3 mask = vec3(1.0 - uMask);
+    if (column < 1.0) {
+      mask.r = 1.0;
+    } else if (column < 2.0) {
+      mask.g = 1.0;
+    } else {
+      mask.b = 1.0;
+    }
+
+    // Scanlines
+    float scan = 1.0 - uScanlines * mod(floor(px.y), 2.0);
+
+    // Interlace - the field not drawn this frame is slightly dimmer
+    float interlace = 1.0 - uFlicker * mod(floor(px.y) + uFrame, 2.0);
+
+    // Vignette, following the curve
+    float vignette = 1.0 - uVignette * smoothstep(0.35, 0.75, length((uv - 0.5) * vec2(1.0, 1.15)));
+
+    gl_FragColor = vec4(mask * scan * interlace * vignette, 1.0);
+  }
+`;
+
+/**
+ * CRTRenderer Class
+ * Draws a CRT post-process over the screen: WebGL for the tube light
+ * (phosphor mask, scanlines, interlace, vignette) and an SVG filter for
+ * the picture itself (barrel distortion, chromatic aberration, bloom).
+ * Without WebGL it does nothing and the CSS overlays stay in place.
+ */
+class CRTRenderer {
+  constructor(screen, params = {}) {
+    this.screen = screen;
+
+    // Tunable parameters
+    this.params = {
+      curvature: params.curvature ?? 0.06,   // Barrel strength
+      mask: params.mask ?? 0.25,             // Phosphor mask darkness 0-1
+      scanlines: params.scanlines ?? 0.2,    // Scanline darkness 0-1
+      flicker: params.flicker ?? 0.04,       // Interlace flicker 0-1
+      vignette: params.vignette ?? 0.5,      // Edge darkening 0-1
+      aberration: params.aberration ?? 1.5,  // Red/blue split in px
+      bloom: params.bloom ?? 0.35            // Glow amount 0-1
+    };
+
+    // State
+    this.isActive = false;
+    this.animationId = null;
+    this.frame = 0;
+    this.lastFrameTime = 0;
+    this.frameInterval = 1000 / 30;
+
+    // WebGL
+    this.canvas = null;
+    this.gl = null;
+    this.program = null;
+    this.uniforms = {};
+
+    // SVG filter (own id per renderer, so several TVs can share a page)
+    this.svg = null;
+    this.filterId = `crtFilter${++CRTRenderer.instances}`;
+    this.resizeObserver = null;
+    this.screenObserver = null; // Watches the screen's on/off classes
+
+    // Bind methods
+    this.render = this.render.bind(this);
+    this.resize = this.resize.bind(this);
+    this.updateLoop = this.updateLoop.bind(this);
+  }
+
+  /**
+   * Check for WebGL support
+   * @returns {boolean}
+   */
+  static isSupported() {
+    try {
+      const canvas = document.createElement('canvas');
+      return !!(window.WebGLRenderingContext && canvas.getContext('webgl'));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Set up the renderer
+   * @returns {boolean} True if the WebGL pass is running, false if falling back to CSS
+   */
+  init() {
+    if (!this.screen || !CRTRenderer.isSupported()) {
+      console.log('WebGL not available, using CSS CRT overlays');
+      return false;
+    }
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'crt-canvas';
+    this.gl = this.canvas.getContext('webgl', { alpha: false, antialias: false });
+
+    if (!this.gl || !this.createProgram()) {
+      this.canvas = null;
+      this.gl = null;
+      return false;
+    }
+
+    const effects = this.screen.querySelector('.screen-effects') || this.screen;
+    effects.appendChild(this.canvas);
+
+    this.createFilter();
+    this.resize();
+
+    // Follow the screen's own size (fullscreen, embeds), not just window resizes
+    if (window.ResizeObserver) {
+      this.resizeObserver = new ResizeObserver(this.resize);
+      this.resizeObserver.observe(this.screen);
+    } else {
+      window.addEventListener('resize', this.resize);
+    }
+
+    // Swap CSS overlays for the shader
+    this.screen.classList.add('crt-webgl');
+    this.isActive = true;
+
+    // Only draw while the screen is on and the tab visible
+    this.screenObserver = new MutationObserver(this.updateLoop);
+    this.screenObserver.observe(this.screen, { attributes: true, attributeFilter: ['class'] });
+    document.addEventListener('visibilitychange', this.updateLoop);
+    this.updateLoop();
+
+    return true;
+  }
+
+  // ======= WEBGL =======
+
+  /**
+   * Compile shaders and set up the full-screen quad
+   */
+  createProgram() {
+    const gl = this.gl;
+
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error('CRT shader error:', gl.getShaderInfoLog(shader));
+        return null;
+      }
+      return shader;
+    };
+
+    const vertex = compile(gl.VERTEX_SHADER, CRT_VERTEX_SHADER);
+    const fragment = compile(gl.FRAGMENT_SHADER, CRT_FRAGMENT_SHADER);
+    if (!vertex || !fragment) return false;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vertex);
+    gl.attachShader(program, fragment);
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      console.error('CRT shader link error:', gl.getProgramInfoLog(program));
+      return false;
+    }
+    gl.useProgram(program);
+
+    // Two triangles covering the viewport
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+    const position = gl.getAttribLocation(program, 'aPosition');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    ['uFrame', 'uCurvature', 'uMask', 'uScanlines', 'uFlicker', 'uVignette'].forEach(name => {
+      this.uniforms[name] = gl.getUniformLocation(program, name);
+    });
+
+    this.program = program;
+    return true;
+  }
+
+  /**
+   * Draw loop (throttled to 30fps, enough for interlace)
+   */
+  render(timestamp) {
+    if (!this.isActive) return;
+
+    if (timestamp - this.lastFrameTime >= this.frameInterval) {
+      this.lastFrameTime = timestamp;
+      this.frame = (this.frame + 1) % 2;
+      this.draw();
+    }
+
+    this.animationId = requestAnimationFrame(this.render);
+  }
+
+  /**
+   * Start or stop the draw loop to match the screen; the last frame stays up while stopped
+   */
+  updateLoop() {
+    if (!this.isActive) return;
+
+    if (document.hidden || !this.screen.classList.contains('on')) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    } else if (!this.animationId) {
+      this.animationId = requestAnimationFrame(this.render);
+    }
+  }
+
+  /**
+   * Draw one frame
+   */
+  draw() {
+    const gl = this.gl;
+    const u = this.uniforms;
+
+    gl.uniform1f(u.uFrame, this.frame);
+    gl.uniform1f(u.uCurvature, this.params.curvature);
+    gl.uniform1f(u.uMask, this.params.mask);
+    gl.uniform1f(u.uScanlines, this.params.scanlines);
+    gl.uniform1f(u.uFlicker, this.params.flicker);
+    gl.uniform1f(u.uVignette, this.params.vignette);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  /**
+   * Match canvas and filter to the screen size
+   */
+  resize() {
+    if (!this.canvas) return;
+
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    this.canvas.width = Math.round(this.screen.clientWidth * dpr);
+    this.canvas.height = Math.round(this.screen.clientHeight * dpr);
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+    this.updateFilter();
+    this.draw();
+  }
+
+  // ======= SVG FILTER (picture warp) =======
+
+  /**
+   * Create the SVG filter applied to the picture layers
+   */
+  createFilter() {
+    const ns = 'http://www.w3.org/2000/svg';
+    this.svg = document.createElementNS(ns, 'svg');
+    this.svg.setAttribute('class', 'crt-filter-defs');
+    this.svg.setAttribute('aria-hidden', 'true');
+    this.svg.innerHTML = `
+      <filter id="${this.filterId}" x="0" y="0" width="100%" height="100%" color-interpolation-filters="sRGB">
+        <feImage result="map" preserveAspectRatio="none"/>
+        <feDisplacementMap in="SourceGraphic" in2="map" xChannelSelector="R" yChannelSelector="G" result="warped"/>
+        <feColorMatrix in="warped" type="matrix" values="1 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 0 0 1 0" result="red"/>
+        <feOffset in="red" result="redShift" class="crt-offset-red"/>
+        <feColorMatrix in="warped" type="matrix" values="0 0 0 0 0  0 1 0 0 0  0 0 0 0 0  0 0 0 1 0" result="green"/>
+        <feColorMatrix in="warped" type="matrix" values="0 0 0 0 0  0 0 0 0 0  0 0 1 0 0  0 0 0 1 0" result="blue"/>
+        <feOffset in="blue" result="blueShift" class="crt-offset-blue"/>
+        <feBlend in="redShift" in2="green" mode="screen" result="redGreen"/>
+        <feBlend in="redGreen" in2="blueShift" mode="screen" result="split"/>
+        <feGaussianBlur in="split" stdDeviation="4" result="glow"/>
+        <feComposite in="split" in2="glow" operator="arithmetic" k1="0" k2="1" k4="0"/>
+      </filter>
+    `;
+    // Next to the picture, so the reference resolves inside a shadow root too
+    this.screen.appendChild(this.svg);
+    this.screen.style.setProperty('--crt-filter', `url(#${this.filterId})`);
+  }
+
+  /**
+   * Rebuild the displacement map and filter values for the current size
+   */
+  updateFilter() {
+    if (!this.svg) return;
+
+    const width = this.screen.clientWidth;
+    const height = this.screen.clientHeight;
+    const filter = this.svg.querySelector('filter');
+
+    // Barrel displacement map - R/G hold where each pixel samples from
+    const mapWidth = 128;
+    const mapHeight = 96;
+    const canvas = document.createElement('canvas');
+    canvas.width = mapWidth;
+    canvas.height = mapHeight;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(mapWidth, mapHeight);
+
+    const k = this.params.curvature;
+    const maxShift = k * 2; // Largest offset in -1..1 space, at the corners
+    const scale = Math.max(width, height) * maxShift;
+
+    for (let y = 0; y < mapHeight; y++) {
+      for (let x = 0; x < mapWidth; x++) {
+        const cx = (x / (mapWidth - 1)) * 2 - 1;
+        const cy = (y / (mapHeight - 1)) * 2 - 1;
+        const factor = k * (cx * cx + cy * cy);
+
+        // Offset in pixels, then encoded around 128
+        const dx = cx * factor * 0.5 * width;
+        const dy = cy * factor * 0.5 * height;
+        const i = (y * mapWidth + x) * 4;
+
+        image.data[i] = 128 + (dx / scale) * 255;
+        image.data[i + 1] = 128 + (dy / scale) * 255;
+        image.data[i + 2] = 128;
+        image.data[i + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+
+    const feImage = filter.querySelector('feImage');
+    feImage.setAttribute('href', canvas.toDataURL());
+    feImage.setAttribute('width', width);
+    feImage.setAttribute('height', height);
+
+    filter.querySelector('feDisplacementMap').setAttribute('scale', scale || 0);
+    filter.querySelector('.crt-offset-red').setAttribute('dx', -this.params.aberration);
+    filter.querySelector('.crt-offset-blue').setAttribute('dx', this.params.aberration);
+    filter.querySelector('feComposite').setAttribute('k3', this.params.bloom);
+  }
+
+  // ======= PUBLIC API =======
+
+  /**
+   * Change one or more parameters
+   * @param {Object} params - Any of curvature, mask, scanlines, flicker, vignette, aberration, bloom
+   */
+  setParams(params = {}) {
+    Object.keys(params).forEach(key => {
+      if (key in this.params && typeof params[key] === 'number') {
+        this.params[key] = params[key];
+      }
+    });
+
+    if (this.isActive) {
+      this.updateFilter();
+      this.draw();
+    }
+  }
+
+  /**
+   * Remove the shader and bring back the CSS overlays
+   */
+  destroy() {
+    this.isActive = false;
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    this.screenObserver?.disconnect();
+    this.screenObserver = null;
+    document.removeEventListener('visibilitychange', this.updateLoop);
+    window.removeEventListener('resize', this.resize);
+    this.screen?.classList.remove('crt-webgl');
+    this.screen?.style.removeProperty('--crt-filter');
+    this.canvas?.remove();
+    this.svg?.remove();
+    this.gl?.getExtension('WEBGL_lose_context')?.loseContext();
+
+    this.canvas = null;
+    this.gl = null;
+    this.svg = null;
+  }
+}
+
+// Renderers created so far, for unique filter ids
+CRTRenderer.instances = 0;
+
+// Export globally
+window.CRTRenderer = CRTRenderer;
@@ -0,0 +1,74 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Event Emitter
+   Minimal publish/subscribe for the public API
+   ============================================ */
+
+/**
+ * EventEmitter Class
+ * Named events with plain-object payloads. A listener that throws is
+ * logged and skipped, so a broken subscriber can't stop the TV.
+ */
+class EventEmitter {
+  constructor() {
+    // Listeners: event name -> Set of functions
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} name - Event name, e.g. 'channel:change', or '*' for every event
+   * @param {Function} listener - (detail, name) => {}
+   * @returns {Function} Call to unsubscribe
+   */
+  on(name, listener) {
+    if (typeof listener !== 'function') {
+      console.error(`Listener for "${name}" must be a function`);
+      return () => {};
+    }
+
+    if (!this.listeners.has(name)) {
+      this.listeners.set(name, new Set());
+    }
+    this.listeners.get(name).add(listener);
+    return () => this.off(name, listener);
+  }
+
+  /**
+   * Subscribe for a single emit
+   * @returns {Function} Call to unsubscribe before it fires
+   */
+  once(name, listener) {
+    const off = this.on(name, (detail, eventName) => {
+      off();
+      listener(detail, eventName);
+    });
+    return off;
+  }
+
+  off(name, listener) {
+    this.listeners.get(name)?.delete(listener);
+  }
+
+  /**
+   * Notify every listener of an event
+   * @param {string} name - Event name
+   * @param {Object} detail - Payload passed to listeners
+   */
+  emit(name, detail = {}) {
+    const listeners = [
+      ...(this.listeners.get(name) ?? []),
+      ...(this.listeners.get('*') ?? [])
+    ];
+
+    listeners.forEach(listener => {
+      try {
+        listener(detail, name);
+      } catch (e) {
+        console.error(`Error in "${name}" listener:`, e);
+      }
+    });
+  }
+}
+
+// Export globally
+window.EventEmitter = EventEmitter;
@@ -0,0 +1,220 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Gamepad Input
+   Channel surfing with a game controller
+   ============================================ */
+
+// Standard-mapping button -> command
+const DEFAULT_GAMEPAD_BUTTONS = {
+  0: 'open',          // A / Cross
+  1: 'info',          // B / Circle
+  3: 'guide',         // Y / Triangle
+  4: 'channel.prev',  // Left shoulder
+  5: 'channel.next',  // Right shoulder
+  8: 'mute',          // Back / Select
+  9: 'power',         // Start
+  12: 'channel.next', // D-pad up
+  13: 'channel.prev', // D-pad down
+  14: 'volume.down',  // D-pad left
+  15: 'volume.up'     // D-pad right
+};
+
+// Stick axis -> knob ('channel' or 'volume')
+const DEFAULT_GAMEPAD_AXES = {
+  0: 'channel', // Left stick X
+  2: 'volume'   // Right stick X
+};
+
+/**
+ * GamepadInput Class
+ * Input source that polls connected gamepads and dispatches commands.
+ * Buttons fire on press (the D-pad repeats while held) and the sticks
+ * turn the channel and volume knobs. Polling only runs while a
+ * gamepad is connected.
+ */
+class GamepadInput {
+  constructor(options = {}) {
+    this.input = null;
+
+    // Configuration
+    this.options = {
+      buttons: options.buttons ?? DEFAULT_GAMEPAD_BUTTONS,
+      axes: options.axes ?? DEFAULT_GAMEPAD_AXES,
+      repeatButtons: options.repeatButtons ?? [12, 13, 14, 15],
+      repeatDelay: options.repeatDelay ?? 400,    // ms before a held button repeats
+      repeatInterval: options.repeatInterval ?? 150,
+      deadzone: options.deadzone ?? 0.2,
+      turnSpeed: options.turnSpeed ?? 240         // Knob degrees per second at full tilt
+    };
+
+    // State
+    this.pollId = null;
+    this.lastPoll = 0;
+    this.pressed = new Map();  // "pad:button" -> time first pressed (ms)
+    this.repeated = new Map(); // "pad:button" -> time last repeated (ms)
+    this.turning = new Set();  // Knobs being turned by a stick
+
+    // Bind methods
+    this.onConnected = this.onConnected.bind(this);
+    this.onDisconnected = this.onDisconnected.bind(this);
+    this.poll = this.poll.bind(this);
+  }
+
+  /**
+   * Check if the Gamepad API is available
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+  }
+
+  attach(input) {
+    this.input = input;
+    window.addEventListener('gamepadconnected', this.onConnected);
+    window.addEventListener('gamepaddisconnected', this.onDisconnected);
+
+    // A pad may already be connected (and used) before we were attached
+    if (this.getGamepads().length) {
+      this.startPolling();
+    }
+  }
+
+  detach() {
+    window.removeEventListener('gamepadconnected', this.onConnected);
+    window.removeEventListener('gamepaddisconnected', this.onDisconnected);
+    this.stopPolling();
+    this.input = null;
+  }
+
+  // ======= HOT-PLUGGING =======
+
+  onConnected() {
+    this.startPolling();
+  }
+
+  onDisconnected(e) {
+    // Forget its held buttons
+    [this.pressed, this.repeated].forEach(map => {
+      [...map.keys()]
+        .filter(key => key.startsWith(`${e.gamepad.index}:`))
+        .forEach(key => map.delete(key));
+    });
+
+    if (!this.getGamepads().length) {
+      this.stopPolling();
+    }
+  }
+
+  /**
+   * Connected gamepads (the browser's list has holes)
+   */
+  getGamepads() {
+    return Array.from(navigator.getGamepads?.() ?? []).filter(Boolean);
+  }
+
+  // ======= POLLING =======
+
+  startPolling() {
+    if (this.pollId) return;
+    this.lastPoll = performance.now();
+    this.pollId = requestAnimationFrame(this.poll);
+  }
+
+  stopPolling() {
+    if (this.pollId) {
+      cancelAnimationFrame(this.pollId);
+      this.pollId = null;
+    }
+    this.pressed.clear();
+    this.repeated.clear();
+    this.releaseKnobs(new Set());
+  }
+
+  /**
+   * Read every pad once per frame
+   */
+  poll(now) {
+    const elapsed = Math.min(100, now - this.lastPoll); // Don't jump after a background tab
+    this.lastPoll = now;
+
+    const gamepads = this.getGamepads();
+    if (!gamepads.length) {
+      this.pollId = null;
+      this.stopPolling();
+      return;
+    }
+
+    const stillTurning = new Set();
+    gamepads.forEach(gamepad => {
+      this.readButtons(gamepad, now);
+      this.readAxes(gamepad, elapsed, stillTurning);
+    });
+    this.releaseKnobs(stillTurning);
+
+    this.pollId = requestAnimationFrame(this.poll);
+  }
+
+  /**
+   * Fire commands for newly pressed (and held repeating) buttons
+   */
+  readButtons(gamepad, now) {
+    Object.entries(this.options.buttons).forEach(([index, command]) => {
+      const button = gamepad.buttons[index];
+      const key = `${gamepad.index}:${index}`;
+
+      if (!button?.pressed) {
+        this.pressed.delete(key);
+        this.repeated.delete(key);
+        return;
+      }
+
+      // First press
+      if (!this.pressed.has(key)) {
+        this.pressed.set(key, now);
+        this.input.dispatch(command);
+        return;
+      }
+
+      // Held - repeat after a delay for the D-pad
+      if (!this.options.repeatButtons.includes(Number(index))) return;
+
+      const heldFor = now - this.pressed.get(key);
+      const sinceRepeat = now - (this.repeated.get(key) ?? 0);
+      if (heldFor >= this.options.repeatDelay && sinceRepeat >= this.options.repeatInterval) {
+        this.repeated.set(key, now);
+        this.input.dispatch(command);
+      }
+    });
+  }
+
+  /**
+   * Turn knobs with the sticks
+   * @param {Set} stillTurning - Collects knobs turned this frame
+   */
+  readAxes(gamepad, elapsed, stillTurning) {
+    Object.entries(this.options.axes).forEach(([index, knob]) => {
+      const value = gamepad.axes[index] ?? 0;
+      const deadzone = this.options.deadzone;
+      if (Math.abs(value) < deadzone) return;
+
+      // Rescale so turning starts gently at the edge of the deadzone
+      const tilt = Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+      this.input.dispatch(`${knob}.turn`, tilt * this.options.turnSpeed * (elapsed / 1000));
+      stillTurning.add(knob);
+    });
+  }
+
+  /**
+   * Let go of knobs whose stick went back to the middle
+   * @param {Set} stillTurning - Knobs that are still being turned
+   */
+  releaseKnobs(stillTurning) {
+    this.turning.forEach(knob => {
+      if (!stillTurning.has(knob)) {
+        this.input?.dispatch(`${knob}.release`);
+      }
+    });
+    this.turning = stillTurning;
+  }
+}
+
+// Export globally
+window.GamepadInput = GamepadInput;
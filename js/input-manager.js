@@ -0,0 +1,214 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Input Manager
+   Maps raw inputs to named TV commands
+   ============================================ */
+
+// Default keyboard layout: key -> command, or [command, ...args]
+const DEFAULT_KEY_BINDINGS = {
+  ' ': 'power',
+  ArrowUp: 'channel.next',
+  w: 'channel.next',
+  ArrowDown: 'channel.prev',
+  s: 'channel.prev',
+  Enter: 'select',
+  Escape: 'channel.cancel',
+  m: 'mute',
+  '+': 'volume.up',
+  '=': 'volume.up',
+  '-': 'volume.down',
+  '[': ['tune.fine', -0.05],
+  ']': ['tune.fine', 0.05],
+  g: 'guide',
+  p: 'safe'
+};
+
+// Digits type a channel number
+for (let digit = 0; digit <= 9; digit++) {
+  DEFAULT_KEY_BINDINGS[digit] = ['channel.digit', String(digit)];
+}
+
+/**
+ * InputManager Class
+ * One dispatcher for every way of driving the TV. The TV registers
+ * named commands (power, channel.next, volume.up, ...), and input
+ * sources (keyboard, wheel, swipe, remote, gamepad, MIDI) only ever
+ * dispatch those names - so bindings can be remapped and new sources
+ * added without touching the controller.
+ *
+ * A source is any object with attach(input) and optionally detach().
+ */
+class InputManager {
+  constructor(options = {}) {
+    // Commands: name -> { run: (...args) => {}, when: () => boolean }
+    this.commands = new Map();
+
+    // Keyboard: key -> { command, args }
+    this.keyBindings = new Map();
+    this.setKeyBindings(options.keyBindings ?? DEFAULT_KEY_BINDINGS);
+
+    // Get raw keys before the bindings (modal overlays like the guide)
+    this.interceptors = [];
+
+    // Attached input sources, by name
+    this.sources = new Map();
+  }
+
+  // ======= COMMANDS =======
+
+  /**
+   * Register a command
+   * @param {string} name - Command name, e.g. 'channel.next'
+   * @param {Function} run - (...args) => {}
+   * @param {Function|null} when - () => boolean, command is ignored while false
+   */
+  register(name, run, when = null) {
+    if (typeof run !== 'function') {
+      console.error(`Command "${name}" needs a run function`);
+      return;
+    }
+    this.commands.set(name, { run, when });
+  }
+
+  unregister(name) {
+    this.commands.delete(name);
+  }
+
+  /**
+   * Register several commands at once
+   * @param {Object} commands - { name: run } or { name: { run, when } }
+   */
+  registerAll(commands) {
+    Object.entries(commands).forEach(([name, command]) => {
+      if (typeof command === 'function') {
+        this.register(name, command);
+      } else {
+        this.register(name, command.run, command.when ?? null);
+      }
+    });
+  }
+
+  /**
+   * Whether a command exists and is available right now
+   */
+  canRun(name) {
+    const command = this.commands.get(name);
+    return Boolean(command) && (!command.when || command.when());
+  }
+
+  /**
+   * Run a command by name
+   * @param {string} name - Command name
+   * @param {...*} args - Passed to the command
+   * @returns {boolean} True if the command ran
+   */
+  dispatch(name, ...args) {
+    if (!this.commands.has(name)) {
+      console.warn(`Unknown command "${name}"`);
+      return false;
+    }
+    if (!this.canRun(name)) return false;
+
+    this.commands.get(name).run(...args);
+    return true;
+  }
+
+  // ======= KEY BINDINGS =======
+
+  /**
+   * Bind a key to a command
+   * @param {string} key - KeyboardEvent.key value
+   * @param {string} command - Command name
+   * @param {...*} args - Passed to the command
+   */
+  bindKey(key, command, ...args) {
+    this.keyBindings.set(String(key), { command, args });
+  }
+
+  unbindKey(key) {
+    this.keyBindings.delete(String(key));
+  }
+
+  /**
+   * Replace all key bindings
+   * @param {Object} bindings - { key: 'command' } or { key: ['command', ...args] }
+   */
+  setKeyBindings(bindings) {
+    this.keyBindings.clear();
+    Object.entries(bindings).forEach(([key, binding]) => {
+      const [command, ...args] = Array.isArray(binding) ? binding : [binding];
+      this.bindKey(key, command, ...args);
+    });
+  }
+
+  /**
+   * Current key bindings in setKeyBindings() form
+   */
+  getKeyBindings() {
+    const bindings = {};
+    this.keyBindings.forEach(({ command, args }, key) => {
+      bindings[key] = args.length ? [command, ...args] : command;
+    });
+    return bindings;
+  }
+
+  /**
+   * Let a handler see keys before the bindings
+   * @param {Function} interceptor - (KeyboardEvent) => true if it used the key
+   */
+  addInterceptor(interceptor) {
+    this.interceptors.push(interceptor);
+  }
+
+  removeInterceptor(interceptor) {
+    this.interceptors = this.interceptors.filter(fn => fn !== interceptor);
+  }
+
+  /**
+   * Run the command bound to a key event
+   * @param {KeyboardEvent} e
+   * @returns {boolean} True if a command ran
+   */
+  handleKey(e) {
+    if (this.interceptors.some(interceptor => interceptor(e))) return true;
+
+    const binding = this.keyBindings.get(e.key);
+    if (!binding) return false;
+
+    const ran = this.dispatch(binding.command, ...binding.args);
+    if (ran) e.preventDefault();
+    return ran;
+  }
+
+  // ======= SOURCES =======
+
+  /**
+   * Attach an input source
+   * @param {string} name - Source name, e.g. 'keyboard'
+   * @param {Object} source - { attach(input), detach() }
+   */
+  addSource(name, source) {
+    this.removeSource(name);
+    this.sources.set(name, source);
+    source.attach(this);
+  }
+
+  removeSource(name) {
+    this.sources.get(name)?.detach?.();
+    this.sources.delete(name);
+  }
+
+  getSource(name) {
+    return this.sources.get(name) ?? null;
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    [...this.sources.keys()].forEach(name => this.removeSource(name));
+    this.interceptors = [];
+  }
+}
+
+// Export globally
+window.InputManager = InputManager;
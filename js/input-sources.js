@@ -0,0 +1,140 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Input Sources
+   Keyboard, mouse wheel and swipe inputs for the InputManager
+   ============================================ */
+
+/**
+ * KeyboardInput Class
+ * Sends key presses through the InputManager's key bindings
+ */
+class KeyboardInput {
+  constructor(target = document) {
+    this.target = target;
+    this.input = null;
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  attach(input) {
+    this.input = input;
+    this.target.addEventListener('keydown', this.onKeyDown);
+  }
+
+  detach() {
+    this.target.removeEventListener('keydown', this.onKeyDown);
+    this.input = null;
+  }
+
+  onKeyDown(e) {
+    // Another TV already handled this key
+    if (e.defaultPrevented) return;
+
+    // Keys typed into an embedded <retro-tv> bubble out of it - they belong to that TV
+    const path = e.composedPath?.() ?? [];
+    if (path.some(el => el !== this.target && el.tagName === 'RETRO-TV')) return;
+
+    // Real target, even from inside a shadow root (<retro-tv>)
+    const target = path[0] ?? e.target;
+
+    // Ignore if typing in input
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') return;
+
+    // Let focused buttons handle their own Space/Enter activation
+    if ((e.key === ' ' || e.key === 'Enter') && target.tagName === 'BUTTON') return;
+
+    // Leave browser and OS shortcuts alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    this.input.handleKey(e);
+  }
+}
+
+/**
+ * WheelInput Class
+ * Mouse wheel over an element steps through channels
+ */
+class WheelInput {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.input = null;
+    this.options = {
+      up: options.up ?? 'channel.next',
+      down: options.down ?? 'channel.prev'
+    };
+    this.onWheel = this.onWheel.bind(this);
+  }
+
+  attach(input) {
+    this.input = input;
+    this.element?.addEventListener('wheel', this.onWheel, { passive: false });
+  }
+
+  detach() {
+    this.element?.removeEventListener('wheel', this.onWheel);
+    this.input = null;
+  }
+
+  onWheel(e) {
+    if (!e.deltaY) return;
+
+    const command = e.deltaY < 0 ? this.options.up : this.options.down;
+    if (this.input.canRun(command)) {
+      e.preventDefault();
+      this.input.dispatch(command);
+    }
+  }
+}
+
+/**
+ * SwipeInput Class
+ * Swipes on an element step through channels (touch screens)
+ */
+class SwipeInput {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.input = null;
+    this.options = {
+      minDistance: options.minDistance ?? 50,
+      next: options.next ?? 'channel.next',
+      prev: options.prev ?? 'channel.prev'
+    };
+
+    this.startX = 0;
+    this.startY = 0;
+
+    this.onTouchStart = this.onTouchStart.bind(this);
+    this.onTouchEnd = this.onTouchEnd.bind(this);
+  }
+
+  attach(input) {
+    this.input = input;
+    this.element?.addEventListener('touchstart', this.onTouchStart, { passive: true });
+    this.element?.addEventListener('touchend', this.onTouchEnd, { passive: true });
+  }
+
+  detach() {
+    this.element?.removeEventListener('touchstart', this.onTouchStart);
+    this.element?.removeEventListener('touchend', this.onTouchEnd);
+    this.input = null;
+  }
+
+  onTouchStart(e) {
+    this.startX = e.touches[0].clientX;
+    this.startY = e.touches[0].clientY;
+  }
+
+  onTouchEnd(e) {
+    const deltaX = e.changedTouches[0].clientX - this.startX;
+    const deltaY = e.changedTouches[0].clientY - this.startY;
+    const distance = Math.max(Math.abs(deltaX), Math.abs(deltaY));
+    if (distance <= this.options.minDistance) return;
+
+    // Swipe left or up - next channel; right or down - previous
+    const delta = Math.abs(deltaX) > Math.abs(deltaY) ? deltaX : deltaY;
+    this.input.dispatch(delta > 0 ? this.options.prev : this.options.next);
+  }
+}
+
+// Export globally
+window.KeyboardInput = KeyboardInput;
+window.WheelInput = WheelInput;
+window.SwipeInput = SwipeInput;
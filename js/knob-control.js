@@ -5,7 +5,8 @@
 
 /**
  * KnobControl Class
- * Handles rotatable knob interactions with mouse/touch
+ * Handles rotatable knob interactions with pointer (mouse/touch/pen),
+ * wheel and keyboard
  */
 class KnobControl {
   constructor(element, options = {}) {
@@ -15,6 +16,9 @@ class KnobControl {
       return;
     }
 
+    // Sound effects (detent clicks)
+    this.audio = options.audio === undefined ? window.audioManager ?? null : options.audio;
+
     // Configuration
     this.options = {
       minValue: options.minValue ?? 0,
@@ -24,24 +28,44 @@ class KnobControl {
       maxAngle: options.maxAngle ?? 135,
       snap: options.snap ?? false,        // Snap to steps
       snapPositions: options.snapPositions ?? null, // Array of snap angles
+      analog: options.analog ?? false,    // Rest between steps while dragging, lock on release
+      lockDuration: options.lockDuration ?? 250, // Glide time onto the nearest step (ms)
+      endless: options.endless ?? false,  // Turn forever, value wraps around
+      detentAngle: options.detentAngle ?? 30, // Endless mode: degrees per step
+      fineStep: options.fineStep ?? null,  // Value step while Shift is held (default: step)
+      fineRatio: options.fineRatio ?? 0.25, // Drag speed while Shift is held
+      wheel: options.wheel ?? true,        // Turn with the mouse wheel while hovering
+      inertia: options.inertia ?? false,   // Keep spinning after a flick
+      friction: options.friction ?? 0.92,  // Inertia slowdown per frame (0-1)
+      label: options.label ?? null,        // Accessible name
+      formatValue: options.formatValue ?? null, // value => text for screen readers
       onChange: options.onChange ?? (() => {}),
+      onTune: options.onTune ?? (() => {}),    // Analog mode: (offset -1..1, value)
       onRelease: options.onRelease ?? (() => {})
     };
 
     // State
     this.value = options.initialValue ?? this.options.minValue;
     this.currentAngle = this.valueToAngle(this.value);
+    this.restAngle = this.currentAngle;  // Endless mode: accumulated angle of the current step
     this.isDragging = false;
-    this.startAngle = 0;
-    this.startValue = 0;
+    this.pointerId = null;     // The one pointer turning the knob
+    this.fine = false;         // Shift held - fine steps
+    this.lastPointerAngle = 0;
+    this.freeAngle = 0;        // Unsnapped angle the hand has turned to
+    this.velocity = 0;         // deg/ms, for inertia
+    this.lastMoveTime = 0;
+    this.wheelDelta = 0;
+    this.releaseTimer = null;  // Wheel and MIDI turns release once they stop
+    this.lockAnimationId = null;
+    this.inertiaId = null;
 
     // Bind methods
-    this.onMouseDown = this.onMouseDown.bind(this);
-    this.onMouseMove = this.onMouseMove.bind(this);
-    this.onMouseUp = this.onMouseUp.bind(this);
-    this.onTouchStart = this.onTouchStart.bind(this);
-    this.onTouchMove = this.onTouchMove.bind(this);
-    this.onTouchEnd = this.onTouchEnd.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
 
     // Initialize
     this.init();
@@ -51,11 +75,11 @@ class KnobControl {
    * Initialize event listeners
    */
   init() {
-    // Mouse events
-    this.element.addEventListener('mousedown', this.onMouseDown);
+    // Pointer events (mouse, touch and pen)
+    this.element.addEventListener('pointerdown', this.onPointerDown);
 
-    // Touch events
-    this.element.addEventListener('touchstart', this.onTouchStart, { passive: false });
+    // Wheel to turn while hovering
+    this.element.addEventListener('wheel', this.onWheel, { passive: false });
 
     // Set initial rotation
     this.updateRotation();
@@ -66,9 +90,12 @@ class KnobControl {
     this.element.setAttribute('aria-valuemin', this.options.minValue);
     this.element.setAttribute('aria-valuemax', this.options.maxValue);
     this.element.setAttribute('aria-valuenow', this.value);
+    if (this.options.label) {
+      this.element.setAttribute('aria-label', this.options.label);
+    }
 
     // Keyboard controls
-    this.element.addEventListener('keydown', (e) => this.onKeyDown(e));
+    this.element.addEventListener('keydown', this.onKeyDown);
   }
 
   /**
@@ -76,6 +103,7 @@ class KnobControl {
    */
   valueToAngle(value) {
     const range = this.options.maxValue - this.options.minValue;
+    if (range === 0) return this.options.minAngle;
     const angleRange = this.options.maxAngle - this.options.minAngle;
     const normalized = (value - this.options.minValue) / range;
     return this.options.minAngle + (normalized * angleRange);
@@ -91,8 +119,9 @@ class KnobControl {
     let value = this.options.minValue + (normalized * range);
 
     // Apply step
-    if (this.options.step > 0) {
-      value = Math.round(value / this.options.step) * this.options.step;
+    const step = this.getStep();
+    if (step > 0) {
+      value = Math.round(value / step) * step;
     }
 
     return Math.max(this.options.minValue, Math.min(this.options.maxValue, value));
@@ -121,15 +150,35 @@ class KnobControl {
   updateRotation() {
     this.element.style.transform = `rotate(${this.currentAngle}deg)`;
     this.element.setAttribute('aria-valuenow', this.value);
+
+    if (this.options.formatValue) {
+      this.element.setAttribute('aria-valuetext', this.options.formatValue(this.value));
+    }
   }
 
   /**
    * Set value programmatically
    */
   setValue(value, triggerCallback = true) {
+    this.cancelLock();
+    this.stopInertia();
+
     const oldValue = this.value;
-    this.value = Math.max(this.options.minValue, Math.min(this.options.maxValue, value));
-    this.currentAngle = this.valueToAngle(this.value);
+
+    if (this.options.endless) {
+      // Turn the short way round to the new step
+      this.value = this.wrapValue(value);
+      const stepCount = this.getStepCount();
+      let steps = Math.round((this.value - oldValue) / (this.options.step || 1));
+      if (steps > stepCount / 2) steps -= stepCount;
+      if (steps < -stepCount / 2) steps += stepCount;
+
+      this.restAngle += steps * this.options.detentAngle;
+      this.currentAngle = this.restAngle;
+    } else {
+      this.value = Math.max(this.options.minValue, Math.min(this.options.maxValue, value));
+      this.currentAngle = this.valueToAngle(this.value);
+    }
     this.updateRotation();
 
     if (triggerCallback && oldValue !== this.value) {
@@ -137,6 +186,63 @@ class KnobControl {
     }
   }
 
+  /**
+   * Update configuration after creation (e.g. when the channel count changes)
+   * @param {Object} options - Any of the constructor options
+   */
+  configure(options = {}) {
+    const wasEndless = this.options.endless;
+
+    Object.keys(options).forEach(key => {
+      if (options[key] !== undefined && key in this.options) {
+        this.options[key] = options[key];
+      }
+    });
+
+    this.element.setAttribute('aria-valuemin', this.options.minValue);
+    this.element.setAttribute('aria-valuemax', this.options.maxValue);
+
+    // Switching to endless mode carries on from the dial's current angle
+    if (this.options.endless && !wasEndless) {
+      this.restAngle = this.valueToAngle(this.value);
+    }
+
+    // Re-clamp and redraw without firing onChange
+    this.setValue(this.value, false);
+  }
+
+  /**
+   * Number of distinct steps between minValue and maxValue (inclusive)
+   */
+  getStepCount() {
+    const step = this.options.step || 1;
+    return Math.round((this.options.maxValue - this.options.minValue) / step) + 1;
+  }
+
+  /**
+   * Wrap a value into range, so max + step comes back round to min
+   */
+  wrapValue(value) {
+    const step = this.options.step || 1;
+    const count = this.getStepCount();
+    const index = Math.round((value - this.options.minValue) / step);
+    return this.options.minValue + (((index % count) + count) % count) * step;
+  }
+
+  /**
+   * Angle of the step the knob is on
+   */
+  getRestAngle() {
+    return this.options.endless ? this.restAngle : this.valueToAngle(this.value);
+  }
+
+  /**
+   * Value step, finer while Shift is held
+   */
+  getStep() {
+    return this.fine && this.options.fineStep ? this.options.fineStep : this.options.step;
+  }
+
   /**
    * Get current value
    */
@@ -144,88 +250,229 @@ class KnobControl {
     return this.value;
   }
 
-  // ======= MOUSE EVENTS =======
+  /**
+   * How far the knob rests from its current step (analog mode)
+   * @returns {number} -1..1, 0 = on the step, ±1 = halfway to the next one
+   */
+  getTuningOffset() {
+    const target = this.getRestAngle();
+    const next = this.value + (this.options.step || 1);
+    const halfStep = this.options.endless
+      ? this.options.detentAngle / 2
+      : Math.abs(this.valueToAngle(next) - target) / 2;
+    if (halfStep === 0) return 0;
+
+    const offset = (this.currentAngle - target) / halfStep;
+    return Math.max(-1, Math.min(1, offset));
+  }
+
+  // ======= POINTER EVENTS =======
+
+  onPointerDown(e) {
+    // One pointer at a time - a second finger doesn't fight the first
+    if (this.pointerId !== null) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
 
-  onMouseDown(e) {
     e.preventDefault();
-    this.startDrag(e.clientX, e.clientY);
+    this.pointerId = e.pointerId;
+    this.element.setPointerCapture?.(e.pointerId);
+    this.element.addEventListener('pointermove', this.onPointerMove);
+    this.element.addEventListener('pointerup', this.onPointerUp);
+    this.element.addEventListener('pointercancel', this.onPointerUp);
 
-    document.addEventListener('mousemove', this.onMouseMove);
-    document.addEventListener('mouseup', this.onMouseUp);
+    this.fine = e.shiftKey;
+    this.startDrag(e.clientX, e.clientY);
   }
 
-  onMouseMove(e) {
-    if (!this.isDragging) return;
+  onPointerMove(e) {
+    if (e.pointerId !== this.pointerId || !this.isDragging) return;
+
+    this.fine = e.shiftKey;
     this.updateDrag(e.clientX, e.clientY);
   }
 
-  onMouseUp(e) {
-    this.endDrag();
-    document.removeEventListener('mousemove', this.onMouseMove);
-    document.removeEventListener('mouseup', this.onMouseUp);
+  onPointerUp(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    this.releasePointer();
+
+    // A cancelled gesture doesn't get to fling
+    this.endDrag(e.type !== 'pointercancel');
   }
 
-  // ======= TOUCH EVENTS =======
+  /**
+   * Let go of the captured pointer and its move/up listeners
+   */
+  releasePointer() {
+    if (this.pointerId === null) return;
 
-  onTouchStart(e) {
+    if (this.element.hasPointerCapture?.(this.pointerId)) {
+      this.element.releasePointerCapture(this.pointerId);
+    }
+    this.element.removeEventListener('pointermove', this.onPointerMove);
+    this.element.removeEventListener('pointerup', this.onPointerUp);
+    this.element.removeEventListener('pointercancel', this.onPointerUp);
+    this.pointerId = null;
+  }
+
+  // ======= WHEEL =======
+
+  onWheel(e) {
+    if (!this.options.wheel || this.isDragging) return;
+
+    // Shift+wheel scrolls sideways in some browsers
+    const delta = e.deltaY || e.deltaX;
+    if (!delta) return;
     e.preventDefault();
-    const touch = e.touches[0];
-    this.startDrag(touch.clientX, touch.clientY);
 
-    document.addEventListener('touchmove', this.onTouchMove, { passive: false });
-    document.addEventListener('touchend', this.onTouchEnd);
+    // Trackpads send lots of small deltas - add them up to one step
+    this.wheelDelta += e.deltaMode === 1 ? delta * 40 : delta;
+    if (Math.abs(this.wheelDelta) < 50) return;
+
+    const direction = this.wheelDelta < 0 ? 1 : -1;
+    this.wheelDelta = 0;
+
+    this.fine = e.shiftKey;
+    this.nudge(direction);
+    this.fine = false;
+
+    this.scheduleRelease();
   }
 
-  onTouchMove(e) {
-    if (!this.isDragging) return;
-    e.preventDefault();
-    const touch = e.touches[0];
-    this.updateDrag(touch.clientX, touch.clientY);
+  /**
+   * Report a release once step-by-step turning (wheel, MIDI) stops
+   */
+  scheduleRelease() {
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = setTimeout(() => this.options.onRelease(this.value), 200);
+  }
+
+  /**
+   * Turn one step (keyboard, wheel)
+   * @param {number} direction - 1 or -1
+   */
+  nudge(direction) {
+    this.setValue(this.value + direction * this.getStep());
+
+    if (this.audio) {
+      this.audio.playClick();
+    }
   }
 
-  onTouchEnd(e) {
-    this.endDrag();
-    document.removeEventListener('touchmove', this.onTouchMove);
-    document.removeEventListener('touchend', this.onTouchEnd);
+  // ======= TURNING FROM CODE =======
+
+  /**
+   * Turn the knob by an angle from code (gamepad stick, MIDI encoder).
+   * Call release() once the turning stops so it settles on a step.
+   * @param {number} deltaAngle - Degrees, clockwise positive
+   */
+  turn(deltaAngle) {
+    // A hand on the knob wins
+    if (this.pointerId !== null) return;
+
+    if (!this.isDragging) {
+      this.cancelLock();
+      this.stopInertia();
+      this.isDragging = true;
+      this.element.classList.add('dragging');
+      this.freeAngle = this.currentAngle;
+    }
+
+    this.rotateBy(deltaAngle);
+  }
+
+  /**
+   * Set the knob to a position in its range (absolute hardware controls)
+   * @param {number} fraction - 0 = minValue, 1 = maxValue
+   */
+  setFraction(fraction) {
+    const { minValue, maxValue } = this.options;
+    const step = this.options.step || 1;
+    const clamped = Math.max(0, Math.min(1, fraction));
+
+    this.setValue(minValue + Math.round((clamped * (maxValue - minValue)) / step) * step);
+    this.scheduleRelease();
+  }
+
+  /**
+   * Let go after turn()
+   */
+  release() {
+    if (this.pointerId !== null || !this.isDragging) return;
+
+    this.isDragging = false;
+    this.element.classList.remove('dragging');
+    this.settle();
   }
 
   // ======= DRAG LOGIC =======
 
   startDrag(clientX, clientY) {
+    this.cancelLock();
+    this.stopInertia();
+
     this.isDragging = true;
     this.element.classList.add('dragging');
-    this.startAngle = this.getAngleFromCenter(clientX, clientY);
-    this.startValue = this.value;
+    this.lastPointerAngle = this.getAngleFromCenter(clientX, clientY);
+    this.freeAngle = this.currentAngle;
+    this.velocity = 0;
+    this.lastMoveTime = performance.now();
 
     // Play click sound
-    if (window.audioManager) {
-      window.audioManager.playClick();
+    if (this.audio) {
+      this.audio.playClick();
     }
   }
 
   updateDrag(clientX, clientY) {
-    const currentPointerAngle = this.getAngleFromCenter(clientX, clientY);
-    let deltaAngle = currentPointerAngle - this.startAngle;
+    const pointerAngle = this.getAngleFromCenter(clientX, clientY);
+    let deltaAngle = pointerAngle - this.lastPointerAngle;
+    this.lastPointerAngle = pointerAngle;
 
     // Handle wrap-around at 180/-180
     if (deltaAngle > 180) deltaAngle -= 360;
     if (deltaAngle < -180) deltaAngle += 360;
 
-    // Calculate new angle
-    let newAngle = this.valueToAngle(this.startValue) + deltaAngle;
+    if (this.fine) {
+      deltaAngle *= this.options.fineRatio;
+    }
+
+    // Track angular speed for flicks (smoothed)
+    const now = performance.now();
+    const elapsed = Math.max(1, now - this.lastMoveTime);
+    this.lastMoveTime = now;
+    this.velocity = this.velocity * 0.6 + (deltaAngle / elapsed) * 0.4;
+
+    this.rotateBy(deltaAngle);
+  }
+
+  /**
+   * Turn the knob by an angle, as a hand or a flick would
+   * @param {number} deltaAngle - Degrees, clockwise positive
+   * @returns {boolean} False if the knob hit its end stop
+   */
+  rotateBy(deltaAngle) {
+    if (this.options.endless) {
+      this.rotateEndless(deltaAngle);
+      return true;
+    }
 
     // Clamp to limits
-    newAngle = Math.max(this.options.minAngle, Math.min(this.options.maxAngle, newAngle));
+    const unclamped = this.freeAngle + deltaAngle;
+    this.freeAngle = Math.max(this.options.minAngle, Math.min(this.options.maxAngle, unclamped));
+    let newAngle = this.freeAngle;
 
-    // Snap to positions if defined
+    // Snap to positions if defined - analog knobs only snap their value
+    let valueAngle = newAngle;
     if (this.options.snapPositions) {
-      newAngle = this.snapToNearest(newAngle, this.options.snapPositions);
+      valueAngle = this.snapToNearest(newAngle, this.options.snapPositions);
+      if (!this.options.analog) newAngle = valueAngle;
     }
 
     // Update state
     const oldValue = this.value;
     this.currentAngle = newAngle;
-    this.value = this.angleToValue(newAngle);
+    this.value = this.angleToValue(valueAngle);
     this.updateRotation();
 
     // Trigger callback if value changed
@@ -233,18 +480,81 @@ class KnobControl {
       this.options.onChange(this.value, oldValue);
 
       // Click feedback for stepped changes
-      if (this.options.snap && window.audioManager) {
-        window.audioManager.playClick();
+      if (this.options.snap && this.audio) {
+        this.audio.playClick();
+      }
+    }
+
+    if (this.options.analog) {
+      this.options.onTune(this.getTuningOffset(), this.value);
+    }
+
+    return unclamped === this.freeAngle;
+  }
+
+  /**
+   * Endless mode: round and round, one step per detent
+   */
+  rotateEndless(deltaAngle) {
+    this.freeAngle += deltaAngle;
+
+    // Click through every detent passed
+    const detent = this.options.detentAngle;
+    const step = this.options.step || 1;
+    while (Math.abs(this.freeAngle - this.restAngle) > detent / 2) {
+      const direction = this.freeAngle > this.restAngle ? 1 : -1;
+      const oldValue = this.value;
+
+      this.restAngle += direction * detent;
+      this.value = this.wrapValue(this.value + direction * step);
+      this.options.onChange(this.value, oldValue);
+
+      if (this.audio) {
+        this.audio.playClick();
       }
     }
+
+    // Detented knobs sit in their notch, analog ones follow the hand
+    this.currentAngle = this.options.analog ? this.freeAngle : this.restAngle;
+    this.updateRotation();
+
+    if (this.options.analog) {
+      this.options.onTune(this.getTuningOffset(), this.value);
+    }
   }
 
-  endDrag() {
+  /**
+   * Finish a drag, flinging on if it was let go mid-turn
+   * @param {boolean} allowFling - False for cancelled gestures
+   */
+  endDrag(allowFling = true) {
     if (!this.isDragging) return;
 
     this.isDragging = false;
     this.element.classList.remove('dragging');
 
+    // A pause before letting go means no flick
+    const idle = performance.now() - this.lastMoveTime;
+    if (this.options.inertia && allowFling && idle < 100 && Math.abs(this.velocity) > 0.05) {
+      this.startInertia();
+      return;
+    }
+
+    this.settle();
+  }
+
+  /**
+   * Come to rest on a step and report the release
+   */
+  settle() {
+    this.fine = false;
+
+    // Analog knobs drift onto the nearest step
+    if (this.options.analog) {
+      this.lockOn();
+      return;
+    }
+
     // Snap to nearest step if enabled
     if (this.options.snap) {
       this.setValue(this.value);
@@ -253,6 +563,87 @@ class KnobControl {
     this.options.onRelease(this.value);
   }
 
+  /**
+   * Glide from the resting angle onto the current step, then release
+   */
+  lockOn() {
+    const from = this.currentAngle;
+    const to = this.getRestAngle();
+    const duration = this.options.lockDuration;
+    const startTime = performance.now();
+
+    const step = (now) => {
+      const progress = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1;
+      const eased = 1 - Math.pow(1 - progress, 3); // ease-out
+
+      this.currentAngle = from + (to - from) * eased;
+      this.updateRotation();
+      this.options.onTune(this.getTuningOffset(), this.value);
+
+      if (progress < 1) {
+        this.lockAnimationId = requestAnimationFrame(step);
+      } else {
+        this.lockAnimationId = null;
+        this.options.onRelease(this.value);
+      }
+    };
+
+    this.lockAnimationId = requestAnimationFrame(step);
+  }
+
+  /**
+   * Keep turning at the flick speed, slowing to a stop
+   */
+  startInertia() {
+    let last = performance.now();
+
+    const spin = (now) => {
+      const elapsed = now - last;
+      last = now;
+
+      const turning = this.rotateBy(this.velocity * elapsed);
+      this.velocity *= Math.pow(this.options.friction, elapsed / 16);
+
+      if (turning && Math.abs(this.velocity) > 0.01) {
+        this.inertiaId = requestAnimationFrame(spin);
+      } else {
+        this.inertiaId = null;
+        this.velocity = 0;
+        this.settle();
+      }
+    };
+
+    this.inertiaId = requestAnimationFrame(spin);
+  }
+
+  /**
+   * Stop a flick spin in progress
+   */
+  stopInertia() {
+    if (this.inertiaId) {
+      cancelAnimationFrame(this.inertiaId);
+      this.inertiaId = null;
+    }
+    this.velocity = 0;
+  }
+
+  /**
+   * Whether the knob is being turned, still spinning or gliding onto a step
+   */
+  isTuning() {
+    return this.isDragging || this.inertiaId !== null || this.lockAnimationId !== null;
+  }
+
+  /**
+   * Stop a lock-on glide in progress
+   */
+  cancelLock() {
+    if (this.lockAnimationId) {
+      cancelAnimationFrame(this.lockAnimationId);
+      this.lockAnimationId = null;
+    }
+  }
+
   /**
    * Snap angle to nearest position in array
    */
@@ -274,32 +665,35 @@ class KnobControl {
   // ======= KEYBOARD CONTROL =======
 
   onKeyDown(e) {
-    let delta = 0;
+    let direction = 0;
 
     switch (e.key) {
       case 'ArrowUp':
       case 'ArrowRight':
-        delta = this.options.step;
+        direction = 1;
         break;
       case 'ArrowDown':
       case 'ArrowLeft':
-        delta = -this.options.step;
+        direction = -1;
         break;
       case 'Home':
         this.setValue(this.options.minValue);
-        return;
+        break;
       case 'End':
         this.setValue(this.options.maxValue);
-        return;
+        break;
       default:
         return;
     }
 
+    // The knob has the key - don't also let page shortcuts act on it
     e.preventDefault();
-    this.setValue(this.value + delta);
+    e.stopPropagation();
 
-    if (window.audioManager) {
-      window.audioManager.playClick();
+    if (direction) {
+      this.fine = e.shiftKey;
+      this.nudge(direction);
+      this.fine = false;
     }
   }
 
@@ -307,12 +701,13 @@ class KnobControl {
    * Cleanup
    */
   destroy() {
-    this.element.removeEventListener('mousedown', this.onMouseDown);
-    this.element.removeEventListener('touchstart', this.onTouchStart);
-    document.removeEventListener('mousemove', this.onMouseMove);
-    document.removeEventListener('mouseup', this.onMouseUp);
-    document.removeEventListener('touchmove', this.onTouchMove);
-    document.removeEventListener('touchend', this.onTouchEnd);
+    this.cancelLock();
+    this.stopInertia();
+    clearTimeout(this.releaseTimer);
+    this.releasePointer();
+    this.element.removeEventListener('pointerdown', this.onPointerDown);
+    this.element.removeEventListener('wheel', this.onWheel);
+    this.element.removeEventListener('keydown', this.onKeyDown);
   }
 }
 
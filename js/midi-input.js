@@ -0,0 +1,355 @@
+/* ============================================
+   RETRO TV PORTFOLIO - MIDI Input
+   Drive the knobs and buttons from a MIDI controller
+   ============================================ */
+
+// Things on the TV that can be learned: selector -> command
+// Continuous targets take CC values (0-1), the rest trigger on note-on or CC press
+const MIDI_LEARN_TARGETS = {
+  '#channelKnob': { command: 'channel.dial', continuous: true, label: 'CHANNEL KNOB' },
+  '#volumeKnob': { command: 'volume.dial', continuous: true, label: 'VOLUME KNOB' },
+  '#powerButton': { command: 'power', continuous: false, label: 'POWER' },
+  '#channelUp': { command: 'channel.next', continuous: false, label: 'CHANNEL UP' },
+  '#channelDown': { command: 'channel.prev', continuous: false, label: 'CHANNEL DOWN' }
+};
+
+/**
+ * MidiInput Class
+ * Input source for Web MIDI controllers with a learn mode:
+ * press L, click a knob or button, then move a hardware control.
+ * Bindings are saved to localStorage.
+ */
+class MidiInput {
+  constructor(options = {}) {
+    this.input = null;
+
+    // Configuration
+    this.options = {
+      storageKey: options.storageKey ?? 'retroTV.midi',
+      learnKey: options.learnKey ?? 'l',
+      targets: options.targets ?? MIDI_LEARN_TARGETS
+    };
+
+    // State
+    this.access = null;
+    this.bindings = {};        // "cc:0:7" / "note:0:60" -> { command, continuous }
+    this.ccState = new Map();  // Last CC value per control, for press detection
+    this.isLearning = false;
+    this.learnTarget = null;   // { element, command, continuous, label }
+
+    // DOM Elements
+    this.elements = {
+      banner: null
+    };
+
+    // Bind methods
+    this.onMessage = this.onMessage.bind(this);
+    this.onStateChange = this.onStateChange.bind(this);
+    this.onLearnClick = this.onLearnClick.bind(this);
+    this.onLearnKey = this.onLearnKey.bind(this);
+  }
+
+  /**
+   * Check if Web MIDI is available
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  attach(input) {
+    this.input = input;
+    this.restore();
+
+    input.register('midi.learn', () => this.toggleLearn());
+    input.bindKey(this.options.learnKey, 'midi.learn');
+    input.addInterceptor(this.onLearnKey);
+
+    // Only ask for MIDI up front if there's something to play - otherwise wait for learn mode
+    if (Object.keys(this.bindings).length) {
+      this.requestAccess();
+    }
+  }
+
+  detach() {
+    this.stopLearn();
+    this.getInputs().forEach(port => port.removeEventListener('midimessage', this.onMessage));
+    this.access?.removeEventListener('statechange', this.onStateChange);
+    this.access = null;
+
+    this.input?.unbindKey(this.options.learnKey);
+    this.input?.unregister('midi.learn');
+    this.input?.removeInterceptor(this.onLearnKey);
+    this.input = null;
+  }
+
+  /**
+   * Ask for MIDI access (the browser may prompt) and listen to every input
+   */
+  async requestAccess() {
+    if (this.access) return true;
+
+    try {
+      this.access = await navigator.requestMIDIAccess();
+    } catch (e) {
+      console.warn('MIDI access unavailable:', e.message);
+      return false;
+    }
+
+    // Detached while waiting for permission
+    if (!this.input) {
+      this.access = null;
+      return false;
+    }
+
+    this.getInputs().forEach(port => this.listen(port));
+    this.access.addEventListener('statechange', this.onStateChange);
+    return true;
+  }
+
+  /**
+   * Connected MIDI input ports
+   */
+  getInputs() {
+    return this.access ? Array.from(this.access.inputs.values()) : [];
+  }
+
+  listen(port) {
+    // Same listener twice is a no-op, so re-listening on reconnect is safe
+    port.addEventListener('midimessage', this.onMessage);
+  }
+
+  /**
+   * Hot-plugging - pick up new controllers
+   */
+  onStateChange(e) {
+    if (e.port.type === 'input' && e.port.state === 'connected') {
+      this.listen(e.port);
+    }
+  }
+
+  // ======= MESSAGES =======
+
+  /**
+   * Handle a raw MIDI message
+   */
+  onMessage(e) {
+    const [status, data1, data2 = 0] = e.data;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+
+    if (type === 0xb0) {
+      this.handleControl(`cc:${channel}:${data1}`, data2);
+    } else if (type === 0x90 && data2 > 0) {
+      this.handleNote(`note:${channel}:${data1}`);
+    }
+    // Note-off (0x80, or note-on with velocity 0) is ignored
+  }
+
+  /**
+   * Control change - continuous knobs, or a press past halfway for buttons
+   */
+  handleControl(key, value) {
+    const previous = this.ccState.get(key) ?? 0;
+    this.ccState.set(key, value);
+
+    if (this.isLearning) {
+      this.learn(key, true);
+      return;
+    }
+
+    const binding = this.bindings[key];
+    if (!binding) return;
+
+    if (binding.continuous) {
+      this.input.dispatch(binding.command, value / 127);
+    } else if (value >= 64 && previous < 64) {
+      this.input.dispatch(binding.command);
+    }
+  }
+
+  /**
+   * Note on - trigger a button
+   */
+  handleNote(key) {
+    if (this.isLearning) {
+      this.learn(key, false);
+      return;
+    }
+
+    const binding = this.bindings[key];
+    if (binding) {
+      this.input.dispatch(binding.command);
+    }
+  }
+
+  // ======= LEARN MODE =======
+
+  toggleLearn() {
+    if (this.isLearning) {
+      this.stopLearn();
+    } else {
+      this.startLearn();
+    }
+  }
+
+  /**
+   * Start learn mode - the next click picks a target
+   */
+  async startLearn() {
+    if (this.isLearning) return;
+    this.isLearning = true;
+    this.showBanner('MIDI LEARN — connecting…');
+
+    const hasAccess = await this.requestAccess();
+    if (!this.isLearning) return; // Left learn mode while waiting
+
+    // Capture phase, so picking a target doesn't also press it
+    document.addEventListener('pointerdown', this.onLearnClick, true);
+    document.addEventListener('click', this.onLearnClick, true);
+
+    document.body.classList.add('midi-learning');
+    this.showBanner(hasAccess
+      ? 'MIDI LEARN — click a knob or button (Esc to finish)'
+      : 'MIDI LEARN — no MIDI access (Esc to close)');
+  }
+
+  stopLearn() {
+    if (!this.isLearning) return;
+    this.isLearning = false;
+
+    document.removeEventListener('pointerdown', this.onLearnClick, true);
+    document.removeEventListener('click', this.onLearnClick, true);
+
+    this.selectTarget(null);
+    document.body.classList.remove('midi-learning');
+    this.elements.banner?.remove();
+    this.elements.banner = null;
+  }
+
+  /**
+   * Pick the clicked knob or button as the learn target
+   */
+  onLearnClick(e) {
+    const selector = Object.keys(this.options.targets).find(sel => e.target.closest(sel));
+    if (!selector) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type !== 'pointerdown') return;
+
+    const element = e.target.closest(selector);
+    this.selectTarget({ element, ...this.options.targets[selector] });
+    this.showBanner(`MIDI LEARN — move a control for ${this.learnTarget.label} (Del clears)`);
+  }
+
+  /**
+   * Esc leaves learn mode, Delete clears the selected target's bindings
+   */
+  onLearnKey(e) {
+    if (!this.isLearning) return false;
+
+    if (e.key === 'Escape') {
+      this.stopLearn();
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.learnTarget) {
+      this.unbindCommand(this.learnTarget.command);
+      this.showBanner(`MIDI LEARN — ${this.learnTarget.label} cleared`);
+    } else {
+      return false;
+    }
+
+    e.preventDefault();
+    return true;
+  }
+
+  selectTarget(target) {
+    this.learnTarget?.element.classList.remove('midi-learn-target');
+    this.learnTarget = target;
+    this.learnTarget?.element.classList.add('midi-learn-target');
+  }
+
+  /**
+   * Bind the moved hardware control to the selected target
+   * @param {string} key - "cc:channel:number" or "note:channel:number"
+   * @param {boolean} isControl - CC (can drive knobs) rather than a note
+   */
+  learn(key, isControl) {
+    const target = this.learnTarget;
+    if (!target) return;
+
+    // Notes can only press buttons
+    if (target.continuous && !isControl) {
+      this.showBanner(`MIDI LEARN — ${target.label} needs a knob or slider`);
+      return;
+    }
+
+    // One hardware control per target
+    this.unbindCommand(target.command);
+    this.bindings[key] = { command: target.command, continuous: target.continuous };
+    this.save();
+
+    const [type, channel, number] = key.split(':');
+    const name = type === 'cc' ? `CC ${number}` : `NOTE ${number}`;
+    this.showBanner(`MIDI LEARN — ${name} (ch ${Number(channel) + 1}) → ${target.label}`);
+    this.selectTarget(null);
+  }
+
+  // ======= BINDINGS =======
+
+  unbind(key) {
+    delete this.bindings[key];
+    this.save();
+  }
+
+  unbindCommand(command) {
+    Object.keys(this.bindings)
+      .filter(key => this.bindings[key].command === command)
+      .forEach(key => delete this.bindings[key]);
+    this.save();
+  }
+
+  clearBindings() {
+    this.bindings = {};
+    this.save();
+  }
+
+  /**
+   * Restore bindings from localStorage
+   */
+  restore() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.options.storageKey));
+      if (saved?.bindings) {
+        this.bindings = saved.bindings;
+      }
+    } catch (e) {
+      // Ignore unreadable storage
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify({ bindings: this.bindings }));
+    } catch (e) {
+      // Storage may be unavailable (private mode)
+    }
+  }
+
+  // ======= UI =======
+
+  /**
+   * Show learn mode status at the top of the page
+   */
+  showBanner(text) {
+    if (!this.elements.banner) {
+      const banner = document.createElement('div');
+      banner.className = 'midi-learn-banner';
+      banner.setAttribute('role', 'status');
+      document.body.appendChild(banner);
+      this.elements.banner = banner;
+    }
+    this.elements.banner.textContent = text;
+  }
+}
+
+// Export globally
+window.MidiInput = MidiInput;
@@ -0,0 +1,248 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Program Guide
+   On-screen TV listings (EPG) overlay
+   ============================================ */
+
+/**
+ * ProgramGuide Class
+ * Draws a retro listings grid over the screen and tunes on selection
+ */
+class ProgramGuide {
+  constructor(tvController) {
+    this.tv = tvController;
+
+    // State
+    this.isOpen = false;
+    this.selectedIndex = 0;
+    this.clockTimer = null;
+
+    // DOM Elements
+    this.elements = {
+      guide: null,
+      list: null,
+      clock: null
+    };
+  }
+
+  /**
+   * Create the guide overlay inside the TV screen
+   * @param {HTMLElement} screen - The .tv-screen element
+   */
+  init(screen) {
+    if (!screen) return;
+
+    const guide = document.createElement('div');
+    guide.className = 'program-guide';
+    guide.id = 'programGuide';
+    guide.hidden = true;
+    guide.innerHTML = `
+      <div class="guide-header">
+        <span class="guide-title">PROGRAM GUIDE</span>
+        <span class="guide-clock"></span>
+      </div>
+      <ul class="guide-list" role="listbox" aria-label="Channels" tabindex="-1"></ul>
+      <div class="guide-footer">▲▼ SELECT &nbsp; ENTER TUNE &nbsp; G EXIT</div>
+    `;
+
+    // Keep it under the CRT overlays so it still looks like it's on the tube
+    const effects = screen.querySelector('.screen-effects');
+    screen.insertBefore(guide, effects);
+
+    this.elements.guide = guide;
+    this.elements.list = guide.querySelector('.guide-list');
+    this.elements.clock = guide.querySelector('.guide-clock');
+
+    // Click a row to tune
+    this.elements.list.addEventListener('click', (e) => {
+      const row = e.target.closest('.guide-row');
+      if (!row) return;
+      this.select(Number(row.dataset.index));
+      this.tuneSelected();
+    });
+  }
+
+  /**
+   * Build one row per channel from ProjectData
+   */
+  render() {
+    const list = this.elements.list;
+    list.innerHTML = '';
+
+    this.tv.data.projects.forEach((project, index) => {
+      const row = document.createElement('li');
+      row.className = 'guide-row';
+      row.id = `guideRow${project.id}`;
+      row.dataset.index = index;
+      row.setAttribute('role', 'option');
+
+      const number = document.createElement('span');
+      number.className = 'guide-channel';
+      number.textContent = String(project.id).padStart(2, '0');
+
+      const icon = document.createElement('span');
+      icon.className = 'guide-icon';
+      icon.textContent = project.icon || '';
+
+      const info = document.createElement('span');
+      info.className = 'guide-info';
+
+      const title = document.createElement('span');
+      title.className = 'guide-program';
+      title.textContent = project.title;
+
+      const description = document.createElement('span');
+      description.className = 'guide-description';
+      description.textContent = project.description;
+
+      info.append(title, description);
+      row.append(number, icon, info);
+      list.appendChild(row);
+    });
+  }
+
+  // ======= OPEN / CLOSE =======
+
+  /**
+   * Toggle the guide
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the guide with the current channel selected
+   */
+  open() {
+    if (!this.elements.guide || !this.tv.isOn) return;
+
+    this.render();
+
+    const index = this.tv.data.projects.findIndex(p => p.id === this.tv.currentChannel);
+    this.select(Math.max(0, index));
+
+    this.isOpen = true;
+    this.elements.guide.hidden = false;
+    this.tv.elements.screen?.classList.add('guide-open');
+
+    this.updateClock();
+    this.clockTimer = setInterval(() => this.updateClock(), 30000);
+
+    if (this.tv.audio) {
+      this.tv.audio.playClick();
+    }
+  }
+
+  /**
+   * Hide the guide
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.elements.guide.hidden = true;
+    this.tv.elements.screen?.classList.remove('guide-open');
+
+    clearInterval(this.clockTimer);
+    this.clockTimer = null;
+  }
+
+  // ======= NAVIGATION =======
+
+  /**
+   * Highlight a row
+   * @param {number} index - Row index (wraps around)
+   */
+  select(index) {
+    const rows = this.elements.list.querySelectorAll('.guide-row');
+    if (!rows.length) return;
+
+    this.selectedIndex = (index + rows.length) % rows.length;
+
+    rows.forEach((row, i) => {
+      const selected = i === this.selectedIndex;
+      row.classList.toggle('selected', selected);
+      row.setAttribute('aria-selected', selected);
+    });
+
+    const selectedRow = rows[this.selectedIndex];
+    this.elements.list.setAttribute('aria-activedescendant', selectedRow.id);
+    selectedRow.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Close the guide and tune to the highlighted channel
+   */
+  tuneSelected() {
+    const project = this.tv.data.projects[this.selectedIndex];
+    this.close();
+
+    if (project) {
+      this.tv.setChannel(project.id);
+    }
+  }
+
+  /**
+   * Handle a key while the guide is open
+   * @param {KeyboardEvent} e
+   * @returns {boolean} True if the guide used the key
+   */
+  handleKey(e) {
+    if (!this.isOpen) return false;
+
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'w':
+        this.select(this.selectedIndex - 1);
+        break;
+      case 'ArrowDown':
+      case 's':
+        this.select(this.selectedIndex + 1);
+        break;
+      case 'PageUp':
+        this.select(Math.max(0, this.selectedIndex - 5));
+        break;
+      case 'PageDown':
+        this.select(Math.min(this.tv.data.projects.length - 1, this.selectedIndex + 5));
+        break;
+      case 'Enter':
+        this.tuneSelected();
+        break;
+      case 'Escape':
+      case 'g':
+        this.close();
+        break;
+      default:
+        return false;
+    }
+
+    e.preventDefault();
+    return true;
+  }
+
+  /**
+   * Update the header clock (HH:MM)
+   */
+  updateClock() {
+    if (!this.elements.clock) return;
+
+    const now = new Date();
+    const hours = String(now.getHours()).padStart(2, '0');
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    this.elements.clock.textContent = `${hours}:${minutes}`;
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.close();
+    this.elements.guide?.remove();
+  }
+}
+
+// Export globally
+window.ProgramGuide = ProgramGuide;
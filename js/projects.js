@@ -13,7 +13,17 @@
  * - description: Short description (1-2 sentences)
  * - url: Link to the project (opens on screen click)
  * - thumbnail: Background image URL (or solid color)
+ * - icon: Optional icon/emoji shown when there is no preview
+ * - useIcon: Optional, show the icon instead of a live preview
+ * - screenshot: Optional static screenshot URL (null = live proxy)
  * - color: Optional accent color for this channel
+ * - slug: Optional URL name for deep links (#/slug), defaults to the title
+ * - signal: Optional reception quality 0-1 (default 1 = perfect picture)
+ * - tune: Optional fine-tuning sweet spot -1..1 for weak channels
+ *
+ * These are the built-in channels. If a channels.json (or .yaml) manifest
+ * is found at startup, it replaces them - see loadManifest() below.
+ * ProjectData.create(channels) makes a separate list (embedded TVs).
  */
 const PROJECTS = [
   {
@@ -69,47 +79,318 @@ const PROJECTS = [
 ];
 
 /**
- * Get project by channel number
- * @param {number} channelNum - Channel number (1-based)
- * @returns {Object|null} Project object or null
+ * Schema for manifest entries
+ * type: expected typeof, required: must be present
+ */
+const CHANNEL_SCHEMA = {
+  id: { type: 'number', required: true },
+  title: { type: 'string', required: true },
+  description: { type: 'string', required: false },
+  url: { type: 'string', required: true },
+  thumbnail: { type: 'string', required: true },
+  icon: { type: 'string', required: false },
+  useIcon: { type: 'boolean', required: false },
+  screenshot: { type: 'string', required: false, nullable: true },
+  color: { type: 'string', required: false },
+  slug: { type: 'string', required: false },
+  signal: { type: 'number', required: false },
+  tune: { type: 'number', required: false }
+};
+
+/**
+ * Get the URL slug for a project ("Clickbait Hider" -> "clickbait-hider")
+ * @param {Object} project - Project object
+ * @returns {string} Slug
  */
-function getProject(channelNum) {
-  return PROJECTS.find(p => p.id === channelNum) || null;
+function getSlug(project) {
+  if (project.slug) return project.slug.toLowerCase();
+
+  return project.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
 }
 
+// ======= MANIFEST LOADING =======
+
 /**
- * Get total number of channels
- * @returns {number} Total projects count
+ * Validate a single manifest entry against CHANNEL_SCHEMA
+ * @param {Object} entry - Raw manifest entry
+ * @returns {string[]} List of problems (empty if valid)
  */
-function getTotalChannels() {
-  return PROJECTS.length;
+function validateProject(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(CHANNEL_SCHEMA)) {
+    const value = entry[field];
+
+    if (value === undefined) {
+      if (rule.required) errors.push(`"${field}" is required`);
+      continue;
+    }
+    if (value === null && rule.nullable) continue;
+    if (typeof value !== rule.type) {
+      errors.push(`"${field}" must be a ${rule.type}, got ${value === null ? 'null' : typeof value}`);
+    }
+  }
+
+  if (typeof entry.id === 'number' && !(Number.isInteger(entry.id) && entry.id > 0)) {
+    errors.push('"id" must be a positive integer');
+  }
+  if (typeof entry.title === 'string' && !entry.title.trim()) {
+    errors.push('"title" must not be empty');
+  }
+  if (typeof entry.url === 'string' && !/^https?:\/\//.test(entry.url)) {
+    errors.push('"url" must start with http:// or https://');
+  }
+  if (typeof entry.signal === 'number' && (entry.signal < 0 || entry.signal > 1)) {
+    errors.push('"signal" must be between 0 and 1');
+  }
+  if (typeof entry.tune === 'number' && (entry.tune < -1 || entry.tune > 1)) {
+    errors.push('"tune" must be between -1 and 1');
+  }
+
+  return errors;
 }
 
 /**
- * Get next channel number (wraps around)
- * @param {number} current - Current channel
- * @returns {number} Next channel number
+ * Validate a whole manifest
+ * @param {Array} entries - Raw manifest entries
+ * @returns {{projects: Object[], errors: string[]}} Valid channels (sorted by id) and problems
  */
-function getNextChannel(current) {
-  const max = getTotalChannels();
-  return current >= max ? 1 : current + 1;
+function validateManifest(entries) {
+  if (!Array.isArray(entries)) {
+    return { projects: [], errors: ['manifest must be a list of channels'] };
+  }
+
+  const errors = [];
+  const projects = [];
+  const seenIds = new Set();
+
+  entries.forEach((entry, index) => {
+    const label = `entry ${index + 1}${entry?.title ? ` ("${entry.title}")` : ''}`;
+    const problems = validateProject(entry);
+
+    if (!problems.length && seenIds.has(entry.id)) {
+      problems.push(`duplicate id ${entry.id}`);
+    }
+
+    if (problems.length) {
+      problems.forEach(problem => errors.push(`${label}: ${problem}`));
+      return;
+    }
+
+    seenIds.add(entry.id);
+    projects.push({ description: '', ...entry });
+  });
+
+  projects.sort((a, b) => a.id - b.id);
+
+  // Channel numbers are stepped 1..N, so gaps would leave dead channels
+  const gap = projects.findIndex((p, i) => p.id !== i + 1);
+  if (gap !== -1) {
+    errors.push(`channel ids must run 1..${projects.length} without gaps (found ${projects[gap].id} at position ${gap + 1})`);
+    return { projects: [], errors };
+  }
+
+  return { projects, errors };
 }
 
 /**
- * Get previous channel number (wraps around)
- * @param {number} current - Current channel
- * @returns {number} Previous channel number
+ * Parse a scalar YAML value
  */
-function getPrevChannel(current) {
-  const max = getTotalChannels();
-  return current <= 1 ? max : current - 1;
+function parseYamlScalar(raw) {
+  const value = raw.trim();
+
+  const quoted = value.match(/^(["'])(.*)\1$/);
+  if (quoted) {
+    return quoted[1] === '"' ? quoted[2].replace(/\\"/g, '"') : quoted[2].replace(/''/g, "'");
+  }
+
+  const unquoted = value.replace(/\s+#.*$/, '');
+  if (unquoted === 'true') return true;
+  if (unquoted === 'false') return false;
+  if (unquoted === 'null' || unquoted === '~' || unquoted === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(unquoted)) return Number(unquoted);
+  return unquoted;
+}
+
+/**
+ * Parse a YAML channel manifest
+ * Supports the subset a channel list needs: a top-level sequence of flat
+ * key/value maps, optionally under a "channels:" key.
+ * @param {string} text - YAML source
+ * @returns {Array} Parsed entries
+ */
+function parseYamlManifest(text) {
+  const entries = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    if (/^channels:\s*$/.test(line)) return;
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    const body = item ? item[1] : line.trim();
+
+    if (item) {
+      current = {};
+      entries.push(current);
+    }
+
+    const pair = body.match(/^([A-Za-z_][\w]*):\s*(.*)$/);
+    if (!pair || !current) {
+      throw new Error(`YAML line ${index + 1}: expected "key: value", got "${line.trim()}"`);
+    }
+
+    current[pair[1]] = parseYamlScalar(pair[2]);
+  });
+
+  return entries;
+}
+
+/**
+ * Fetch and validate an external JSON or YAML manifest
+ * @param {string} url - Manifest URL (.json, .yaml or .yml)
+ * @returns {Promise<Object[]|null>} Valid channels, or null when the manifest is missing or unusable
+ */
+async function fetchManifest(url) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (e) {
+    console.info(`Channel manifest ${url} not reachable, keeping current channels`);
+    return null;
+  }
+
+  // No manifest is the normal case - only report real failures
+  if (!response.ok) {
+    if (response.status !== 404) {
+      console.warn(`Channel manifest ${url} failed (${response.status}), keeping current channels`);
+    }
+    return null;
+  }
+
+  let entries;
+  try {
+    const text = await response.text();
+    const isYaml = /\.ya?ml(\?|$)/.test(url) || /yaml/.test(response.headers.get('Content-Type') || '');
+    entries = isYaml ? parseYamlManifest(text) : JSON.parse(text);
+    if (entries && !Array.isArray(entries) && Array.isArray(entries.channels)) {
+      entries = entries.channels;
+    }
+  } catch (e) {
+    console.error(`Channel manifest ${url} could not be parsed: ${e.message}`);
+    return null;
+  }
+
+  const { projects, errors } = validateManifest(entries);
+  errors.forEach(error => console.error(`Channel manifest ${url}: ${error}`));
+
+  if (!projects.length) {
+    console.warn(`Channel manifest ${url} has no usable channels, keeping current channels`);
+    return null;
+  }
+
+  return projects;
+}
+
+// ======= CHANNEL LISTS =======
+
+/**
+ * Create a channel list with lookups and manifest loading.
+ * The page's TV uses window.ProjectData; each embedded <retro-tv> gets its own.
+ * @param {Object[]} projects - Starting channels (used until a manifest loads)
+ * @returns {Object} Channel list API (see window.ProjectData)
+ */
+function createProjectData(projects = PROJECTS) {
+  let channels = projects;
+  let manifestRequest = 0; // Bumped per loadManifest() call, so only the latest one applies
+
+  /**
+   * Get project by channel number
+   * @param {number} channelNum - Channel number (1-based)
+   * @returns {Object|null} Project object or null
+   */
+  function getProject(channelNum) {
+    return channels.find(p => p.id === channelNum) || null;
+  }
+
+  /**
+   * Get project by URL slug
+   * @param {string} slug - Slug from the URL
+   * @returns {Object|null} Project object or null
+   */
+  function getProjectBySlug(slug) {
+    const wanted = slug.toLowerCase();
+    return channels.find(p => getSlug(p) === wanted) || null;
+  }
+
+  /**
+   * Get total number of channels
+   * @returns {number} Total projects count
+   */
+  function getTotalChannels() {
+    return channels.length;
+  }
+
+  /**
+   * Get next channel number (wraps around)
+   * @param {number} current - Current channel
+   * @returns {number} Next channel number
+   */
+  function getNextChannel(current) {
+    const max = getTotalChannels();
+    return current >= max ? 1 : current + 1;
+  }
+
+  /**
+   * Get previous channel number (wraps around)
+   * @param {number} current - Current channel
+   * @returns {number} Previous channel number
+   */
+  function getPrevChannel(current) {
+    const max = getTotalChannels();
+    return current <= 1 ? max : current - 1;
+  }
+
+  /**
+   * Load channels from an external JSON or YAML manifest
+   * Keeps the current channels when the manifest is missing or unusable,
+   * or when a newer call started while this one was loading.
+   * @param {string} url - Manifest URL (.json, .yaml or .yml)
+   * @returns {Promise<boolean>} True if the manifest replaced the channels
+   */
+  async function loadManifest(url = 'channels.json') {
+    const request = ++manifestRequest;
+    const projects = await fetchManifest(url);
+    if (!projects || request !== manifestRequest) return false;
+
+    channels = projects;
+    return true;
+  }
+
+  return {
+    get projects() {
+      return channels;
+    },
+    builtIn: PROJECTS,
+    schema: CHANNEL_SCHEMA,
+    getProject,
+    getProjectBySlug,
+    getSlug,
+    getTotalChannels,
+    getNextChannel,
+    getPrevChannel,
+    validateManifest,
+    loadManifest,
+    create: createProjectData
+  };
 }
 
 // Export for use in other modules
-window.ProjectData = {
-  projects: PROJECTS,
-  getProject,
-  getTotalChannels,
-  getNextChannel,
-  getPrevChannel
-};
+window.ProjectData = createProjectData(PROJECTS);
@@ -0,0 +1,315 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Remote Control
+   Detachable on-screen remote
+   ============================================ */
+
+/**
+ * RemoteControl Class
+ * Draggable on-screen remote that drives the TVController
+ */
+class RemoteControl {
+  constructor(tvController, options = {}) {
+    this.tv = tvController;
+
+    // Configuration
+    this.options = {
+      storageKey: options.storageKey ?? 'retroTV.remote',
+      container: options.container ?? document.body
+    };
+
+    // State
+    this.isOpen = false;
+    this.position = null; // { x, y } in px, null = default corner
+    this.dragOffset = null;
+
+    // DOM Elements
+    this.elements = {
+      toggle: null,
+      remote: null,
+      handle: null
+    };
+
+    // Bind methods
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onResize = this.onResize.bind(this);
+  }
+
+  /**
+   * Build the remote and restore its saved state
+   */
+  init() {
+    this.render();
+    this.restore();
+
+    this.elements.handle.addEventListener('pointerdown', this.onPointerDown);
+    this.elements.remote.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('resize', this.onResize);
+  }
+
+  /**
+   * Create remote markup
+   */
+  render() {
+    // Toggle button (always visible)
+    const toggle = document.createElement('button');
+    toggle.className = 'remote-toggle';
+    toggle.type = 'button';
+    toggle.setAttribute('aria-label', 'Show remote control');
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', 'remoteControl');
+    toggle.textContent = 'REMOTE';
+    toggle.addEventListener('click', () => this.toggle());
+
+    // Remote body
+    const remote = document.createElement('div');
+    remote.className = 'remote';
+    remote.id = 'remoteControl';
+    remote.setAttribute('role', 'group');
+    remote.setAttribute('aria-label', 'Remote control');
+    remote.hidden = true;
+
+    remote.innerHTML = `
+      <div class="remote-handle" title="Drag to move">
+        <span class="remote-brand">RETROVISION</span>
+        <button type="button" class="remote-close" data-action="close" aria-label="Hide remote control">×</button>
+      </div>
+      <div class="remote-row">
+        <button type="button" class="remote-button remote-power" data-action="power" aria-label="Power">⏻</button>
+        <button type="button" class="remote-button" data-action="info" aria-label="Channel info">INFO</button>
+        <button type="button" class="remote-button" data-action="guide" aria-label="Program guide">GUIDE</button>
+        <button type="button" class="remote-button" data-action="safe" aria-label="Safe mode" aria-pressed="false">SAFE</button>
+      </div>
+      <div class="remote-digits">
+        ${[1, 2, 3, 4, 5, 6, 7, 8, 9].map(d => this.digitButton(d)).join('')}
+        <span class="remote-spacer"></span>
+        ${this.digitButton(0)}
+        <button type="button" class="remote-button" data-action="channel.commit" aria-label="Enter">OK</button>
+      </div>
+      <div class="remote-rocker-row">
+        <div class="remote-rocker">
+          <button type="button" class="remote-button" data-action="volume.up" aria-label="Volume up">+</button>
+          <span class="remote-rocker-label">VOL</span>
+          <button type="button" class="remote-button" data-action="volume.down" aria-label="Volume down">−</button>
+        </div>
+        <div class="remote-rocker remote-mute-column">
+          <button type="button" class="remote-button" data-action="mute" aria-label="Mute" aria-pressed="false">MUTE</button>
+        </div>
+        <div class="remote-rocker">
+          <button type="button" class="remote-button" data-action="channel.next" aria-label="Channel up">+</button>
+          <span class="remote-rocker-label">CH</span>
+          <button type="button" class="remote-button" data-action="channel.prev" aria-label="Channel down">−</button>
+        </div>
+      </div>
+    `;
+
+    remote.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button) this.handleAction(button.dataset.action, button.dataset.digit);
+    });
+
+    this.options.container.appendChild(toggle);
+    this.options.container.appendChild(remote);
+
+    this.elements.toggle = toggle;
+    this.elements.remote = remote;
+    this.elements.handle = remote.querySelector('.remote-handle');
+  }
+
+  /**
+   * Markup for a digit button
+   */
+  digitButton(digit) {
+    return `<button type="button" class="remote-button" data-action="channel.digit" data-digit="${digit}" aria-label="${digit}">${digit}</button>`;
+  }
+
+  /**
+   * Run a remote button against the TV
+   * @param {string} action - Command name from data-action (or 'close')
+   * @param {string} digit - Digit for digit buttons
+   */
+  handleAction(action, digit) {
+    // Button presses count as user interaction for audio
+    if (this.tv.audio && !this.tv.audio.initialized) {
+      this.tv.audio.init();
+    }
+
+    if (action === 'close') {
+      this.close();
+      this.elements.toggle.focus();
+      return;
+    }
+
+    // Everything else is a TV command
+    this.tv.input.dispatch(action, digit);
+    this.updateMuteButton();
+    this.updateSafeButton();
+  }
+
+  /**
+   * Reflect the mute state on the mute button
+   */
+  updateMuteButton() {
+    const button = this.elements.remote.querySelector('[data-action="mute"]');
+    button?.setAttribute('aria-pressed', String(this.tv.audio?.muted ?? false));
+  }
+
+  /**
+   * Reflect safe mode on the safe mode button
+   */
+  updateSafeButton() {
+    const button = this.elements.remote.querySelector('[data-action="safe"]');
+    button?.setAttribute('aria-pressed', String(this.tv.safeMode));
+  }
+
+  // ======= OPEN / CLOSE =======
+
+  /**
+   * Show or hide the remote
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.isOpen = true;
+    this.elements.remote.hidden = false;
+    this.elements.toggle.setAttribute('aria-expanded', 'true');
+    this.elements.toggle.setAttribute('aria-label', 'Hide remote control');
+    this.applyPosition();
+    this.updateMuteButton();
+    this.updateSafeButton();
+    this.save();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.elements.remote.hidden = true;
+    this.elements.toggle.setAttribute('aria-expanded', 'false');
+    this.elements.toggle.setAttribute('aria-label', 'Show remote control');
+    this.save();
+  }
+
+  // ======= PERSISTENCE =======
+
+  /**
+   * Restore open state and position from localStorage
+   */
+  restore() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.options.storageKey));
+    } catch (e) {
+      // Ignore unreadable storage
+    }
+
+    if (saved?.position) {
+      this.position = saved.position;
+    }
+    if (saved?.open) {
+      this.open();
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify({
+        open: this.isOpen,
+        position: this.position
+      }));
+    } catch (e) {
+      // Storage may be unavailable (private mode)
+    }
+  }
+
+  // ======= DRAGGING =======
+
+  onPointerDown(e) {
+    if (e.target.closest('button')) return;
+
+    const rect = this.elements.remote.getBoundingClientRect();
+    this.dragOffset = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    this.elements.remote.classList.add('dragging');
+
+    this.elements.handle.setPointerCapture(e.pointerId);
+    this.elements.handle.addEventListener('pointermove', this.onPointerMove);
+    this.elements.handle.addEventListener('pointerup', this.onPointerUp);
+    this.elements.handle.addEventListener('pointercancel', this.onPointerUp);
+    e.preventDefault();
+  }
+
+  onPointerMove(e) {
+    if (!this.dragOffset) return;
+
+    this.position = {
+      x: e.clientX - this.dragOffset.x,
+      y: e.clientY - this.dragOffset.y
+    };
+    this.applyPosition();
+  }
+
+  onPointerUp(e) {
+    this.dragOffset = null;
+    this.elements.remote.classList.remove('dragging');
+
+    this.elements.handle.releasePointerCapture?.(e.pointerId);
+    this.elements.handle.removeEventListener('pointermove', this.onPointerMove);
+    this.elements.handle.removeEventListener('pointerup', this.onPointerUp);
+    this.elements.handle.removeEventListener('pointercancel', this.onPointerUp);
+    this.save();
+  }
+
+  onResize() {
+    if (this.isOpen) this.applyPosition();
+  }
+
+  /**
+   * Move the remote to the saved position, kept inside the viewport
+   */
+  applyPosition() {
+    const remote = this.elements.remote;
+    if (!this.position || remote.hidden) return;
+
+    const maxX = window.innerWidth - remote.offsetWidth;
+    const maxY = window.innerHeight - remote.offsetHeight;
+    const x = Math.max(0, Math.min(maxX, this.position.x));
+    const y = Math.max(0, Math.min(maxY, this.position.y));
+
+    remote.style.left = `${x}px`;
+    remote.style.top = `${y}px`;
+    remote.style.right = 'auto';
+    remote.style.bottom = 'auto';
+  }
+
+  // ======= KEYBOARD =======
+
+  onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+      this.elements.toggle.focus();
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.elements.handle?.removeEventListener('pointerdown', this.onPointerDown);
+    this.elements.handle?.removeEventListener('pointermove', this.onPointerMove);
+    this.elements.handle?.removeEventListener('pointerup', this.onPointerUp);
+    this.elements.handle?.removeEventListener('pointercancel', this.onPointerUp);
+    window.removeEventListener('resize', this.onResize);
+    this.elements.toggle?.remove();
+    this.elements.remote?.remove();
+  }
+}
+
+// Export globally
+window.RemoteControl = RemoteControl;
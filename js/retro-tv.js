@@ -0,0 +1,391 @@
+/* ============================================
+   RETRO TV PORTFOLIO - <retro-tv> Element
+   Embeddable TV with its own channels and controls
+   ============================================ */
+
+// Folder holding css/ and js/ (the one above this script), so pages anywhere can embed the TV
+const RETRO_TV_BASE = new URL('../', document.currentScript?.src ?? window.location.href).href;
+
+const RETRO_TV_STYLES = [
+  'css/main.css',
+  'css/tv-frame.css',
+  'css/tv-screen.css',
+  'css/animations.css',
+  'css/retro-tv.css'
+];
+
+// Same TV as index.html - ids are private to each element's shadow root
+const RETRO_TV_TEMPLATE = `
+  <div class="tv-container">
+    <!-- Antennas -->
+    <div class="tv-antennas">
+      <div class="antenna antenna-left">
+        <div class="antenna-rod"></div>
+        <div class="antenna-tip"></div>
+      </div>
+      <div class="antenna antenna-right">
+        <div class="antenna-rod"></div>
+        <div class="antenna-tip"></div>
+      </div>
+      <div class="antenna-base"></div>
+    </div>
+
+    <!-- Main TV Body -->
+    <div class="tv-body">
+      <!-- Screen Section -->
+      <div class="tv-screen-section">
+        <div class="tv-bezel">
+          <div class="tv-screen" id="tvScreen">
+            <!-- Static Canvas (noise effect) -->
+            <canvas id="staticCanvas" class="static-canvas"></canvas>
+
+            <!-- Content Display -->
+            <div class="screen-content" id="screenContent">
+              <div class="channel-number" id="channelNumber">01</div>
+
+              <!-- Live Preview -->
+              <div class="preview-container" id="previewContainer">
+                <iframe id="previewFrame" class="preview-frame"></iframe>
+                <div class="live-indicator">LIVE</div>
+              </div>
+
+              <!-- No Signal (unknown deep link) -->
+              <div class="no-signal" id="noSignal">
+                <div class="no-signal-text">NO SIGNAL</div>
+              </div>
+
+              <!-- Fallback Display -->
+              <div class="project-display" id="projectDisplay">
+                <div class="project-thumbnail" id="projectThumbnail"></div>
+                <div class="project-icon" id="projectIcon">🌐</div>
+                <div class="project-info">
+                  <h2 class="project-title" id="projectTitle">Project Name</h2>
+                  <p class="project-description" id="projectDescription">Project description goes here</p>
+                  <p class="project-url" id="projectUrl">visacus.com</p>
+                </div>
+              </div>
+              <div class="click-prompt">Click to visit</div>
+
+              <!-- Volume OSD -->
+              <div class="volume-osd" id="volumeOsd" aria-hidden="true">
+                <span class="volume-label">VOLUME</span>
+                <div class="volume-bar"><div class="volume-fill"></div></div>
+                <span class="volume-value"></span>
+              </div>
+
+              <!-- Channel Info Banner -->
+              <div class="info-banner" id="infoBanner" aria-hidden="true">
+                <p class="info-title"></p>
+                <p class="info-description"></p>
+              </div>
+            </div>
+
+            <!-- Screen Off State -->
+            <div class="screen-off" id="screenOff">
+              <div class="screen-reflection"></div>
+            </div>
+
+            <!-- Screen Effects Overlays -->
+            <div class="screen-effects">
+              <div class="scanlines"></div>
+              <div class="screen-glow"></div>
+              <div class="vignette"></div>
+              <div class="screen-curve"></div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Brand Label -->
+        <div class="tv-brand">
+          <span class="brand-name">RETROVISION</span>
+        </div>
+      </div>
+
+      <!-- Control Panel -->
+      <div class="tv-controls">
+        <!-- Speaker Grille -->
+        <div class="speaker-grille">
+          <div class="speaker-holes">
+            <span></span><span></span><span></span><span></span>
+            <span></span><span></span><span></span><span></span>
+            <span></span><span></span><span></span><span></span>
+            <span></span><span></span><span></span><span></span>
+            <span></span><span></span><span></span><span></span>
+          </div>
+        </div>
+
+        <!-- Knobs Section -->
+        <div class="knobs-section">
+          <!-- Channel Knob -->
+          <div class="control-group">
+            <div class="knob-container">
+              <div class="knob channel-knob" id="channelKnob" data-value="0">
+                <div class="knob-indicator"></div>
+                <div class="knob-grip"></div>
+              </div>
+            </div>
+            <span class="control-label">CHANNEL</span>
+          </div>
+
+          <!-- Volume Knob -->
+          <div class="control-group">
+            <div class="knob-container">
+              <div class="knob volume-knob" id="volumeKnob" data-value="50">
+                <div class="knob-indicator"></div>
+                <div class="knob-grip"></div>
+              </div>
+            </div>
+            <span class="control-label">VOLUME</span>
+          </div>
+        </div>
+
+        <!-- Buttons Section -->
+        <div class="buttons-section">
+          <!-- Channel Buttons -->
+          <div class="channel-buttons">
+            <button class="tv-button channel-up" id="channelUp" aria-label="Channel Up">
+              <span class="button-symbol">+</span>
+            </button>
+            <button class="tv-button channel-down" id="channelDown" aria-label="Channel Down">
+              <span class="button-symbol">-</span>
+            </button>
+          </div>
+
+          <!-- Power Section -->
+          <div class="power-section">
+            <button class="power-button" id="powerButton" aria-label="Power" aria-pressed="false">
+              <div class="power-icon"></div>
+            </button>
+            <div class="power-indicator" id="powerIndicator"></div>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- TV Legs -->
+    <div class="tv-legs">
+      <div class="leg leg-left"></div>
+      <div class="leg leg-right"></div>
+    </div>
+  </div>
+
+  <!-- Screen reader announcements -->
+  <div class="sr-only" id="tvAnnouncer" role="status" aria-live="polite" aria-atomic="true"></div>
+`;
+
+/**
+ * RetroTVElement Class
+ * <retro-tv> custom element. Builds the TV in its own shadow root with
+ * its own TVController, StaticEffect, knobs and sound, so several can
+ * share a page. Channels come from a `src` manifest (JSON or YAML) or from child
+ * <retro-channel> elements, falling back to the built-in channels.
+ *
+ *   <retro-tv src="channels.json" channel="2" autopower></retro-tv>
+ *
+ * TV events (power:on, channel:change, ...) are dispatched on the element.
+ */
+class RetroTVElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['src'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+
+    this.tv = null;
+    this.data = null;
+    this.audio = null;
+
+    this.onFirstInteraction = this.onFirstInteraction.bind(this);
+  }
+
+  connectedCallback() {
+    if (this.tv || !this.isConnected) return;
+
+    // Upgraded by a script above the markup - the <retro-channel> children aren't parsed yet
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.connectedCallback(), { once: true });
+      return;
+    }
+
+    this.render();
+    this.start();
+  }
+
+  disconnectedCallback() {
+    this.stop();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'src' && this.tv && newValue && newValue !== oldValue) {
+      this.loadChannels(newValue);
+    }
+  }
+
+  /**
+   * The element's TVController (null while detached)
+   */
+  get controller() {
+    return this.tv;
+  }
+
+  /**
+   * Tune to a channel by number or slug
+   */
+  tune(id) {
+    return this.tv?.tune(id) ?? Promise.resolve(false);
+  }
+
+  // ======= SETUP =======
+
+  /**
+   * Where css/ and js/ are, overridable with a `base` attribute
+   */
+  getBase() {
+    return new URL(this.getAttribute('base') ?? RETRO_TV_BASE, window.location.href).href;
+  }
+
+  /**
+   * Build the TV markup and styles in the shadow root
+   */
+  render() {
+    const base = this.getBase();
+    const styles = RETRO_TV_STYLES
+      .map(href => `<link rel="stylesheet" href="${new URL(href, base)}">`)
+      .join('');
+
+    this.shadowRoot.innerHTML = styles + RETRO_TV_TEMPLATE;
+
+    // Tab-focusable, so keyboard controls only reach the TV you're using
+    if (!this.hasAttribute('tabindex')) {
+      this.tabIndex = 0;
+    }
+  }
+
+  /**
+   * Create this element's controller and power it up
+   */
+  start() {
+    this.data = window.ProjectData.create(this.readChannels());
+
+    // Own sound, so muting one TV leaves the others alone (silent without audio-manager.js).
+    // Settings are remembered per id; a TV without one starts fresh each visit.
+    const storageKey = this.id ? `retroTV.audio.${this.id}` : null;
+    this.audio = window.AudioManager ? new AudioManager({ root: this.shadowRoot, storageKey }) : null;
+
+    this.tv = new TVController({
+      root: this.shadowRoot,
+      stateElement: this.shadowRoot.querySelector('.tv-container'),
+      data: this.data,
+      audio: this.audio,
+      router: false, // The URL hash belongs to the page
+      workerUrl: new URL('js/static-worker.js', this.getBase()).href
+    });
+    this.tv.onEvent = (name, detail) => this.dispatchEvent(new CustomEvent(name, { detail }));
+    this.tv.init();
+    this.tuneStartChannel();
+
+    // Sound may only start from a user gesture (autopower switches on silently)
+    this.addEventListener('pointerdown', this.onFirstInteraction);
+    this.addEventListener('keydown', this.onFirstInteraction);
+
+    const src = this.getAttribute('src');
+    const ready = src ? this.loadChannels(src) : Promise.resolve();
+
+    if (this.hasAttribute('autopower')) {
+      ready.finally(() => this.tv?.powerOnSilent());
+    }
+  }
+
+  /**
+   * Tear down the controller (the markup is rebuilt on reconnect)
+   */
+  stop() {
+    this.removeEventListener('pointerdown', this.onFirstInteraction);
+    this.removeEventListener('keydown', this.onFirstInteraction);
+    this.tv?.destroy();
+    this.audio?.destroy();
+    this.tv = null;
+    this.audio = null;
+  }
+
+  /**
+   * Start this TV's sound on the first click, touch or key press inside it
+   */
+  onFirstInteraction() {
+    if (this.audio && !this.audio.initialized) {
+      this.audio.init();
+    }
+    this.removeEventListener('pointerdown', this.onFirstInteraction);
+    this.removeEventListener('keydown', this.onFirstInteraction);
+  }
+
+  // ======= CHANNELS =======
+
+  /**
+   * Channels from child <retro-channel> elements
+   * Attributes are manifest fields (use-icon for useIcon), the text is the description.
+   * Channels are numbered in document order.
+   * @returns {Object[]} Valid channels, or the built-in ones when there are none
+   */
+  readChannels() {
+    const schema = window.ProjectData.schema;
+    const entries = Array.from(this.querySelectorAll(':scope > retro-channel')).map((element, index) => {
+      const entry = { id: index + 1 };
+
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        const field = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        const rule = schema[field];
+        if (!rule || field === 'id') return;
+
+        if (rule.type === 'number') {
+          entry[field] = Number(value);
+        } else if (rule.type === 'boolean') {
+          entry[field] = value !== 'false';
+        } else {
+          entry[field] = value;
+        }
+      });
+
+      entry.description = entry.description ?? element.textContent.trim();
+      entry.thumbnail = entry.thumbnail ?? entry.color ?? '#1a1a1a';
+      return entry;
+    });
+
+    if (!entries.length) return window.ProjectData.builtIn;
+
+    const { projects, errors } = window.ProjectData.validateManifest(entries);
+    errors.forEach(error => console.error(`<retro-channel> ${error}`));
+    return projects.length ? projects : window.ProjectData.builtIn;
+  }
+
+  /**
+   * Replace the channels with a manifest
+   * @param {string} src - Manifest URL (.json, .yaml or .yml)
+   */
+  async loadChannels(src) {
+    const replaced = await this.data.loadManifest(src);
+    if (!replaced || !this.tv) return;
+
+    this.tv.refreshChannels();
+    this.tuneStartChannel();
+  }
+
+  /**
+   * Preselect the `channel` attribute while the TV is still off
+   */
+  tuneStartChannel() {
+    const channel = this.getAttribute('channel');
+    if (channel && !this.tv.isOn) {
+      this.tv.tune(channel);
+    }
+  }
+}
+
+if (window.customElements && !customElements.get('retro-tv')) {
+  customElements.define('retro-tv', RetroTVElement);
+}
+
+// Export globally
+window.RetroTVElement = RetroTVElement;
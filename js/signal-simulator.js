@@ -0,0 +1,231 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Signal Simulator
+   Reception quality, fine tuning and picture degradation
+   ============================================ */
+
+/**
+ * SignalSimulator Class
+ * Models how well the current channel is received and drives the
+ * matching picture faults: snow, vertical roll, tearing, ghosting
+ * and interference bars.
+ *
+ * Channels opt in with `signal` (0-1 reception at default tuning) and
+ * optionally `tune` (-1..1, where the fine-tuning sweet spot is).
+ * An analog channel dial resting between stations detunes every channel.
+ */
+class SignalSimulator {
+  constructor(tvController) {
+    this.tv = tvController;
+
+    // State
+    this.active = false;
+    this.baseSignal = 1;   // Channel's reception at fine tune 0
+    this.optimum = 0;      // Fine-tune position with a perfect picture
+    this.fineTune = 0;     // Current fine-tune offset (-1..1)
+    this.detune = 0;       // Analog dial offset from the station (-1..1)
+    this.quality = 1;      // Effective picture quality (0-1)
+    this.fineTunes = new Map(); // Per-channel fine-tune memory
+    this.ownsStatic = false;    // We started the static, so we stop it
+    this.eventTimer = null;
+    this.flashTimers = new Set(); // Pending flashClass() removals
+
+    // Quality above this counts as a clean picture
+    this.cleanThreshold = 0.97;
+  }
+
+  /**
+   * Tune in to a channel and start simulating its reception
+   * @param {Object} project - Channel data
+   */
+  tune(project) {
+    if (!project) return;
+
+    this.channelId = project.id;
+    this.baseSignal = typeof project.signal === 'number' ? project.signal : 1;
+    this.optimum = this.getOptimum(project);
+    this.fineTune = this.fineTunes.get(project.id) ?? 0;
+    this.resume();
+  }
+
+  /**
+   * Where the fine-tuning sweet spot is for a channel
+   */
+  getOptimum(project) {
+    if (typeof project.tune === 'number' && project.tune !== 0) return project.tune;
+    if (this.baseSignal >= 1) return 0;
+
+    // Weak channel without a set sweet spot - derive a stable one from its id
+    const side = project.id % 2 ? 1 : -1;
+    return side * (0.3 + ((project.id * 0.13) % 0.4));
+  }
+
+  /**
+   * Effective quality for the current fine-tune position
+   * 1 at the sweet spot, baseSignal at fine tune 0, worse further out,
+   * and down to nothing halfway between stations on the dial.
+   */
+  computeQuality() {
+    const distance = Math.abs(this.fineTune - this.optimum);
+    const offAtRest = Math.abs(this.optimum);
+    const slope = offAtRest > 0 ? Math.max((1 - this.baseSignal) / offAtRest, 0.3) : 0.8;
+    const fineQuality = Math.max(0, Math.min(1, 1 - distance * slope));
+    return fineQuality * (1 - Math.abs(this.detune));
+  }
+
+  /**
+   * Nudge the fine tuning
+   * @param {number} delta - Change in fine-tune offset
+   * @returns {number} New quality
+   */
+  adjustFineTune(delta) {
+    this.fineTune = Math.max(-1, Math.min(1, this.fineTune + delta));
+    this.fineTunes.set(this.channelId, this.fineTune);
+    this.update();
+    return this.quality;
+  }
+
+  /**
+   * Set how far the analog channel dial is from the station
+   * @param {number} offset - -1..1, 0 = locked on
+   */
+  setDetune(offset) {
+    this.detune = Math.max(-1, Math.min(1, offset));
+    this.update();
+  }
+
+  // ======= RUNNING =======
+
+  /**
+   * Start driving degradation for the tuned channel
+   */
+  resume() {
+    this.active = true;
+    this.update();
+    this.scheduleEvent();
+  }
+
+  /**
+   * Stop all degradation (transitions, power off)
+   */
+  suspend() {
+    this.active = false;
+    clearTimeout(this.eventTimer);
+    this.eventTimer = null;
+    this.flashTimers.forEach(timer => clearTimeout(timer));
+    this.flashTimers.clear();
+
+    this.tv.elements.screen?.classList.remove('v-hold', 'h-tear', 'ghost-signal');
+    this.clearSnow();
+  }
+
+  /**
+   * Apply continuous effects (snow, ghosting) for the current quality
+   */
+  update() {
+    this.quality = this.computeQuality();
+    if (!this.active) return;
+
+    const badness = 1 - this.quality;
+    const isClean = this.quality >= this.cleanThreshold;
+
+    // Snow over the picture - picture stays visible through it
+    const staticEffect = this.tv.staticEffect;
+    if (staticEffect) {
+      if (isClean) {
+        this.clearSnow();
+      } else {
+        staticEffect.setGhosting(true);
+        staticEffect.setIntensity(Math.min(0.8, badness * 0.9));
+        if (!staticEffect.isRunning) {
+          staticEffect.start();
+          this.ownsStatic = true;
+        }
+      }
+    }
+
+    // Multipath ghosting on poor reception
+    this.tv.elements.screen?.classList.toggle('ghost-signal', this.quality < 0.7);
+  }
+
+  /**
+   * Remove the snow we added
+   */
+  clearSnow() {
+    const staticEffect = this.tv.staticEffect;
+    if (!staticEffect) return;
+
+    if (this.ownsStatic) {
+      staticEffect.stop();
+      this.ownsStatic = false;
+    }
+    staticEffect.setGhosting(false);
+    staticEffect.applyIntensity(1);
+  }
+
+  // ======= RANDOM FAULTS =======
+
+  /**
+   * Queue the next random fault
+   */
+  scheduleEvent() {
+    clearTimeout(this.eventTimer);
+    if (!this.active) return;
+
+    const wait = 1000 + Math.random() * 2000;
+    this.eventTimer = setTimeout(() => {
+      this.triggerEvent();
+      this.scheduleEvent();
+    }, wait);
+  }
+
+  /**
+   * Play one fault, more likely the worse the signal is
+   */
+  triggerEvent() {
+    if (!this.active || this.quality >= this.cleanThreshold) return;
+    if (this.tv.isTransitioning || this.tv.guide?.isOpen) return;
+    if (this.tv.safeMode) return; // No rolling or tearing
+
+    const badness = 1 - this.quality;
+    const roll = Math.random();
+
+    if (roll < badness * 0.5) {
+      this.flashClass('v-hold', 600);      // Vertical hold slips
+    } else if (roll < badness * 1.2) {
+      this.flashClass('h-tear', 400);      // Horizontal tearing
+    } else if (roll < badness * 2) {
+      this.interferenceBar();
+    }
+  }
+
+  /**
+   * Add a class to the screen for a moment
+   */
+  flashClass(className, duration) {
+    const screen = this.tv.elements.screen;
+    if (!screen) return;
+
+    screen.classList.add(className);
+    const timer = setTimeout(() => {
+      this.flashTimers.delete(timer);
+      screen.classList.remove(className);
+    }, duration);
+    this.flashTimers.add(timer);
+  }
+
+  /**
+   * Sweep an interference bar down the picture
+   */
+  interferenceBar() {
+    const content = this.tv.elements.screenContent;
+    if (!content) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'interference-bar';
+    bar.addEventListener('animationend', () => bar.remove());
+    content.appendChild(bar);
+  }
+}
+
+// Export globally
+window.SignalSimulator = SignalSimulator;
@@ -8,28 +8,241 @@
  * Generates realistic TV static noise on canvas
  */
 class StaticEffect {
-  constructor(canvasId) {
-    this.canvas = document.getElementById(canvasId);
+  /**
+   * @param {string|HTMLCanvasElement} canvas - Canvas element or its id
+   * @param {Object} options - Renderer and resolution settings:
+   *   - workerUrl: OffscreenCanvas worker script
+   *   - grainSize: CSS px per noise pixel (null = follow device pixels)
+   *   - maxDpr: Device pixel ratio cap when grainSize is null
+   *   - autoDownscale: Lower resolution when frames get too slow
+   *   - frameBudget: Render time per frame (ms) before downscaling
+   *   - audio: AudioManager for the hiss (default window.audioManager, null for none)
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
     if (!this.canvas) {
-      console.error(`Canvas with id "${canvasId}" not found`);
+      console.error(`Canvas ${typeof canvas === 'string' ? `with id "${canvas}" ` : ''}not found`);
       return;
     }
 
-    this.ctx = this.canvas.getContext('2d');
+    this.audio = options.audio === undefined ? window.audioManager ?? null : options.audio;
+    this.ctx = null;       // Only set when rendering on the main thread
+    this.renderer = null;  // StaticNoise instance (main thread)
+    this.worker = null;    // Web Worker rendering on an OffscreenCanvas
+    this.workerReady = false;
     this.isRunning = false;
     this.animationId = null;
-    this.intensity = 1; // 0-1
+    this.intensity = 1; // 0-1, drives noise density, contrast and opacity
+    this.ghosting = false; // Blend snow over the picture instead of hiding it
+    this.soft = false;     // Safe mode: faint, low-contrast, slow static
+    this.stopTimer = null;
+
+    // Canvas size (tracked here, the canvas is not readable once transferred)
+    this.width = 0;
+    this.height = 0;
 
     // Performance settings
-    this.fps = 30;
+    this.baseFps = 30;
+    this.safeFps = 2; // Under the WCAG limit of 3 flashes per second
+    this.fps = this.baseFps;
     this.lastFrameTime = 0;
     this.frameInterval = 1000 / this.fps;
 
+    // Resolution policy
+    this.resolution = {
+      grainSize: options.grainSize === undefined ? 2 : options.grainSize,
+      maxDpr: options.maxDpr ?? 2,
+      autoDownscale: options.autoDownscale ?? true,
+      frameBudget: options.frameBudget ?? 8,
+      minScale: 0.25
+    };
+    this.downscale = 1;      // Extra factor applied by auto-downscale
+    this.frameTimes = [];    // Recent render times (ms)
+    this.fastStreak = 0;     // 15-frame windows in a row with room to spare
+
+    // Bind methods
+    this.resize = this.resize.bind(this);
+    this.onDprChange = this.onDprChange.bind(this);
+
     // Initialize canvas size
     this.resize();
 
-    // Handle window resize
-    window.addEventListener('resize', () => this.resize());
+    // Render off the main thread where possible
+    this.initRenderer(options.workerUrl ?? 'js/static-worker.js');
+
+    // Follow layout changes (fullscreen, font loading, transitions), not just window resizes
+    this.resizeObserver = null;
+    if (window.ResizeObserver && this.canvas.parentElement) {
+      this.resizeObserver = new ResizeObserver(this.resize);
+      this.resizeObserver.observe(this.canvas.parentElement);
+    } else {
+      window.addEventListener('resize', this.resize);
+    }
+
+    // Re-evaluate when moved to a screen with a different pixel ratio
+    this.dprQuery = null;
+    this.watchDpr();
+  }
+
+  /**
+   * Pick a renderer: OffscreenCanvas worker, or main thread as fallback
+   * @param {string} workerUrl - Worker script URL
+   */
+  initRenderer(workerUrl) {
+    const canOffscreen = window.Worker && window.OffscreenCanvas &&
+      typeof this.canvas.transferControlToOffscreen === 'function';
+
+    if (!canOffscreen) {
+      this.useMainThread();
+      return;
+    }
+
+    try {
+      this.worker = new Worker(workerUrl);
+    } catch (e) {
+      // e.g. file:// pages can't start workers
+      this.useMainThread();
+      return;
+    }
+
+    // Only hand the canvas over once the worker has loaded, so a missing
+    // script can still fall back to the main thread
+    this.worker.onmessage = (e) => {
+      if (e.data?.type === 'ready') this.onWorkerReady();
+      if (e.data?.type === 'frameTime') this.reportFrameTime(e.data.ms);
+    };
+    this.worker.onerror = (e) => {
+      e.preventDefault?.();
+      if (this.workerReady) return;
+      console.warn('Static worker failed to load, rendering on main thread');
+      this.worker.terminate();
+      this.worker = null;
+      this.useMainThread();
+    };
+  }
+
+  /**
+   * Transfer the canvas to the worker and sync current state
+   */
+  onWorkerReady() {
+    const offscreen = this.canvas.transferControlToOffscreen();
+    this.workerReady = true;
+
+    this.worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      width: this.width,
+      height: this.height,
+      fps: this.fps,
+      intensity: this.intensity,
+      ghosting: this.ghosting,
+      soft: this.soft,
+      running: this.isRunning
+    }, [offscreen]);
+  }
+
+  /**
+   * Render on the main thread (no OffscreenCanvas/worker support)
+   */
+  useMainThread() {
+    this.ctx = this.canvas.getContext('2d');
+    this.renderer = new StaticNoise(this.ctx);
+
+    // Catch up if static was started while the worker was loading
+    if (this.isRunning) {
+      this.lastFrameTime = 0;
+      this.animate(0);
+    }
+  }
+
+  /**
+   * Send a message to the worker once it has the canvas
+   */
+  postToWorker(message) {
+    if (this.worker && this.workerReady) {
+      this.worker.postMessage(message);
+    }
+  }
+
+  /**
+   * Noise pixels per CSS pixel under the current resolution policy
+   */
+  getPixelScale() {
+    const { grainSize, maxDpr } = this.resolution;
+    const base = grainSize
+      ? 1 / grainSize
+      : Math.min(window.devicePixelRatio || 1, maxDpr);
+    return base * this.downscale;
+  }
+
+  /**
+   * Change the resolution policy
+   * @param {Object} policy - Any of grainSize, maxDpr, autoDownscale, frameBudget
+   */
+  setResolution(policy = {}) {
+    Object.keys(policy).forEach(key => {
+      if (key in this.resolution) {
+        this.resolution[key] = policy[key];
+      }
+    });
+
+    this.downscale = 1;
+    this.frameTimes = [];
+    this.fastStreak = 0;
+    this.watchDpr();
+    this.resize();
+  }
+
+  /**
+   * Record how long a frame took and downscale if we're over budget.
+   * Steps back up once frames stay well under budget, leaving headroom
+   * for the larger frame (each step costs ~1.8x) so it doesn't bounce.
+   * @param {number} ms - Render time of one frame
+   */
+  reportFrameTime(ms) {
+    if (!this.resolution.autoDownscale) return;
+
+    this.frameTimes.push(ms);
+    if (this.frameTimes.length < 15) return;
+
+    const average = this.frameTimes.reduce((sum, t) => sum + t, 0) / this.frameTimes.length;
+    this.frameTimes = [];
+
+    const budget = this.resolution.frameBudget;
+
+    if (average > budget) {
+      this.fastStreak = 0;
+      if (this.downscale > this.resolution.minScale) {
+        this.downscale = Math.max(this.resolution.minScale, this.downscale * 0.75);
+        this.resize();
+      }
+      return;
+    }
+
+    this.fastStreak = average < budget * 0.4 ? this.fastStreak + 1 : 0;
+    if (this.fastStreak >= 4 && this.downscale < 1) {
+      this.fastStreak = 0;
+      this.downscale = Math.min(1, this.downscale / 0.75);
+      this.resize();
+    }
+  }
+
+  /**
+   * Listen for devicePixelRatio changes (only matters without a fixed grain size)
+   */
+  watchDpr() {
+    this.dprQuery?.removeEventListener('change', this.onDprChange);
+    this.dprQuery = null;
+
+    if (this.resolution.grainSize || !window.matchMedia) return;
+
+    this.dprQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    this.dprQuery.addEventListener?.('change', this.onDprChange);
+  }
+
+  onDprChange() {
+    this.watchDpr();
+    this.resize();
   }
 
   /**
@@ -40,59 +253,25 @@ class StaticEffect {
 
     const parent = this.canvas.parentElement;
     if (parent) {
-      // Use lower resolution for performance
-      const scale = 0.5;
-      this.canvas.width = parent.offsetWidth * scale;
-      this.canvas.height = parent.offsetHeight * scale;
+      // Noise resolution follows the resolution policy, not the layout size
+      const scale = this.getPixelScale();
+      this.width = Math.max(1, Math.floor(parent.clientWidth * scale));
+      this.height = Math.max(1, Math.floor(parent.clientHeight * scale));
+
+      if (this.workerReady) {
+        this.postToWorker({ type: 'resize', width: this.width, height: this.height });
+      } else {
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+      }
     }
   }
 
   /**
-   * Generate a single frame of static
+   * Generate a single frame of static (main thread renderer)
    */
   generateFrame() {
-    if (!this.ctx) return;
-
-    const width = this.canvas.width;
-    const height = this.canvas.height;
-
-    // Create image data
-    const imageData = this.ctx.createImageData(width, height);
-    const data = imageData.data;
-
-    // Generate high contrast B&W noise
-    for (let i = 0; i < data.length; i += 4) {
-      // Sharp black & white noise
-      const rand = Math.random();
-      const gray = rand > 0.5 ? 255 : (rand > 0.3 ? 180 : 0);
-
-      data[i] = gray;       // R
-      data[i + 1] = gray;   // G
-      data[i + 2] = gray;   // B
-      data[i + 3] = 255;    // A
-    }
-
-    // Add horizontal interference lines
-    for (let line = 0; line < 3; line++) {
-      if (Math.random() > 0.5) {
-        const lineY = Math.floor(Math.random() * height);
-        const lineHeight = Math.floor(Math.random() * 3) + 1;
-
-        for (let y = lineY; y < Math.min(lineY + lineHeight, height); y++) {
-          const lineStart = y * width * 4;
-          const lineEnd = lineStart + width * 4;
-          const brightness = Math.random() > 0.5 ? 255 : 200;
-
-          for (let i = lineStart; i < lineEnd; i += 4) {
-            data[i] = brightness;
-            data[i + 1] = brightness;
-            data[i + 2] = brightness;
-          }
-        }
-      }
-    }
-
-    this.ctx.putImageData(imageData, 0, 0);
+    this.renderer?.render(this.intensity, this.ghosting, this.soft);
   }
 
   /**
@@ -106,7 +285,10 @@ class StaticEffect {
 
     if (elapsed >= this.frameInterval) {
       this.lastFrameTime = timestamp - (elapsed % this.frameInterval);
+
+      const frameStart = performance.now();
       this.generateFrame();
+      this.reportFrameTime(performance.now() - frameStart);
     }
 
     this.animationId = requestAnimationFrame((ts) => this.animate(ts));
@@ -115,23 +297,31 @@ class StaticEffect {
   /**
    * Start static animation
    * @param {number} duration - Optional auto-stop duration in ms
+   * @param {Object} options - { silent: true } to skip the static sound
    */
-  start(duration = null) {
+  start(duration = null, options = {}) {
     if (!this.canvas) return;
 
     this.isRunning = true;
     this.canvas.classList.add('active');
-    this.lastFrameTime = 0;
-    this.animate(0);
 
-    // Play static sound
-    if (window.audioManager) {
-      window.audioManager.playStatic(true);
+    if (this.worker) {
+      this.postToWorker({ type: 'start' });
+    } else if (this.renderer) {
+      this.lastFrameTime = 0;
+      this.animate(0);
+    }
+
+    // Play static sound, as loud as the static is strong
+    if (this.audio && !options.silent) {
+      this.audio.setStaticLevel(this.intensity);
+      this.audio.playStatic(true);
     }
 
     // Auto-stop after duration
+    clearTimeout(this.stopTimer);
     if (duration) {
-      setTimeout(() => this.stop(), duration);
+      this.stopTimer = setTimeout(() => this.stop(), duration);
     }
   }
 
@@ -140,6 +330,8 @@ class StaticEffect {
    */
   stop() {
     this.isRunning = false;
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
     this.canvas?.classList.remove('active');
 
     if (this.animationId) {
@@ -148,13 +340,12 @@ class StaticEffect {
     }
 
     // Clear canvas
-    if (this.ctx) {
-      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    this.postToWorker({ type: 'stop' });
+    this.renderer?.clear();
 
     // Stop static sound
-    if (window.audioManager) {
-      window.audioManager.playStatic(false);
+    if (this.audio) {
+      this.audio.playStatic(false);
     }
   }
 
@@ -163,7 +354,41 @@ class StaticEffect {
    * @param {number} value - Intensity 0-1
    */
   setIntensity(value) {
+    this.applyIntensity(value);
+
+    if (this.isRunning && this.audio) {
+      this.audio.setStaticLevel(this.intensity);
+    }
+  }
+
+  /**
+   * Update intensity for rendering only (no audio change)
+   * @param {number} value - Intensity 0-1
+   */
+  applyIntensity(value) {
     this.intensity = Math.max(0, Math.min(1, value));
+    this.postToWorker({ type: 'set', intensity: this.intensity });
+  }
+
+  /**
+   * Show the channel through the snow instead of covering it
+   * @param {boolean} enabled
+   */
+  setGhosting(enabled) {
+    this.ghosting = enabled;
+    this.canvas?.classList.toggle('ghosting', enabled);
+    this.postToWorker({ type: 'set', ghosting: enabled });
+  }
+
+  /**
+   * Photosensitivity-safe static: low contrast and a low frame rate
+   * @param {boolean} enabled
+   */
+  setSafeMode(enabled) {
+    this.soft = enabled;
+    this.fps = enabled ? this.safeFps : this.baseFps;
+    this.frameInterval = 1000 / this.fps;
+    this.postToWorker({ type: 'set', soft: enabled, fps: this.fps });
   }
 
   /**
@@ -181,6 +406,41 @@ class StaticEffect {
     });
   }
 
+  /**
+   * Gradually fade in static (starts it if needed)
+   * @param {number} duration - Fade duration in ms
+   * @param {number} target - Intensity to end at, e.g. 0.3 for a weak signal
+   */
+  fadeIn(duration = 500, target = 1) {
+    if (!this.canvas) return;
+
+    if (!this.isRunning) {
+      this.applyIntensity(0);
+      this.start();
+    }
+
+    const startIntensity = this.intensity;
+    const startTime = performance.now();
+
+    // Hiss fades alongside the picture
+    if (this.audio) {
+      this.audio.fadeStatic(target, duration);
+    }
+
+    const fade = (timestamp) => {
+      const elapsed = timestamp - startTime;
+      const progress = Math.min(elapsed / duration, 1);
+
+      this.applyIntensity(startIntensity + (target - startIntensity) * progress);
+
+      if (progress < 1 && this.isRunning) {
+        requestAnimationFrame(fade);
+      }
+    };
+
+    requestAnimationFrame(fade);
+  }
+
   /**
    * Gradually fade out static
    * @param {number} duration - Fade duration in ms
@@ -189,22 +449,39 @@ class StaticEffect {
     const startIntensity = this.intensity;
     const startTime = performance.now();
 
+    // Hiss fades alongside the picture
+    if (this.audio) {
+      this.audio.fadeStatic(0, duration);
+    }
+
     const fade = (timestamp) => {
       const elapsed = timestamp - startTime;
       const progress = Math.min(elapsed / duration, 1);
 
-      this.intensity = startIntensity * (1 - progress);
+      this.applyIntensity(startIntensity * (1 - progress));
 
       if (progress < 1 && this.isRunning) {
         requestAnimationFrame(fade);
       } else {
         this.stop();
-        this.intensity = 1; // Reset
+        this.applyIntensity(1); // Reset
       }
     };
 
     requestAnimationFrame(fade);
   }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.stop();
+    this.resizeObserver?.disconnect();
+    window.removeEventListener('resize', this.resize);
+    this.dprQuery?.removeEventListener('change', this.onDprChange);
+    this.worker?.terminate();
+    this.worker = null;
+  }
 }
 
 // Create global instance
@@ -0,0 +1,121 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Static Noise Renderer
+   Shared by StaticEffect and its Web Worker
+   ============================================ */
+
+/**
+ * StaticNoise Class
+ * Draws TV snow into a 2D context using a fast PRNG and reused buffers.
+ * Works on the main thread and inside a worker with an OffscreenCanvas.
+ */
+class StaticNoise {
+  constructor(ctx) {
+    this.ctx = ctx;
+
+    // Reused pixel buffer, recreated only when the size changes
+    this.imageData = null;
+    this.pixels = null; // Uint32 view, one write per pixel
+
+    // xorshift32 state (must be non-zero)
+    this.seed = (Math.random() * 0xffffffff) >>> 0 || 1;
+  }
+
+  /**
+   * Fast pseudo-random number in [0, 1)
+   */
+  random() {
+    let x = this.seed;
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    this.seed = x >>> 0;
+    return this.seed / 4294967296;
+  }
+
+  /**
+   * Pack a grey level and alpha into one RGBA pixel (little-endian)
+   */
+  pack(gray, alpha) {
+    return ((alpha << 24) | (gray << 16) | (gray << 8) | gray) >>> 0;
+  }
+
+  /**
+   * Make sure the pixel buffer matches the canvas
+   */
+  ensureBuffer(width, height) {
+    if (this.imageData && this.imageData.width === width && this.imageData.height === height) return;
+
+    this.imageData = this.ctx.createImageData(width, height);
+    this.pixels = new Uint32Array(this.imageData.data.buffer);
+  }
+
+  /**
+   * Draw one frame of static
+   * At intensity 1 this is solid snow; lower values thin the snow out,
+   * soften its contrast and let the picture underneath show through.
+   * @param {number} intensity - 0-1
+   * @param {boolean} ghosting - Cap opacity so the picture stays visible
+   * @param {boolean} soft - Safe mode: low contrast, faint, no interference lines
+   */
+  render(intensity = 1, ghosting = false, soft = false) {
+    const width = this.ctx.canvas.width;
+    const height = this.ctx.canvas.height;
+    if (!width || !height) return;
+
+    if (intensity <= 0) {
+      this.clear();
+      return;
+    }
+
+    this.ensureBuffer(width, height);
+    const pixels = this.pixels;
+
+    // Derive look from intensity
+    const density = intensity;                 // Share of pixels that are snow
+    const contrast = soft ? 0.15 : 0.4 + 0.6 * intensity; // 1 = pure black & white
+    const maxAlpha = ghosting || soft ? 0.5 : 1;
+    const alpha = Math.round(255 * maxAlpha * (0.35 + 0.65 * intensity));
+
+    // Sharp black & white noise, pulled towards grey as contrast drops
+    const shade = (raw) => Math.round(128 + (raw - 128) * contrast);
+    const white = this.pack(shade(255), alpha);
+    const light = this.pack(shade(180), alpha);
+    const black = this.pack(shade(0), alpha);
+
+    for (let i = 0; i < pixels.length; i++) {
+      // Weak signal - leave gaps in the snow
+      if (density < 1 && this.random() > density) {
+        pixels[i] = 0;
+        continue;
+      }
+
+      const rand = this.random();
+      pixels[i] = rand > 0.5 ? white : (rand > 0.3 ? light : black);
+    }
+
+    // Add horizontal interference lines (bright flashes - not in soft mode)
+    for (let line = 0; line < (soft ? 0 : 3); line++) {
+      if (this.random() > 1 - intensity / 2) {
+        const lineY = Math.floor(this.random() * height);
+        const lineHeight = Math.floor(this.random() * 3) + 1;
+        const color = this.pack(this.random() > 0.5 ? 255 : 200, alpha);
+
+        const start = lineY * width;
+        const end = Math.min(lineY + lineHeight, height) * width;
+        pixels.fill(color, start, end);
+      }
+    }
+
+    this.ctx.putImageData(this.imageData, 0, 0);
+  }
+
+  /**
+   * Clear the canvas
+   */
+  clear() {
+    this.ctx.clearRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+  }
+}
+
+// Export globally (window on the main thread, worker global in the worker)
+self.StaticNoise = StaticNoise;
@@ -0,0 +1,104 @@
+/* ============================================
+   RETRO TV PORTFOLIO - Static Worker
+   Renders static noise on an OffscreenCanvas
+   ============================================ */
+
+importScripts('static-noise.js');
+
+// State
+let canvas = null;
+let noise = null;
+let isRunning = false;
+let intensity = 1;
+let ghosting = false;
+let soft = false;
+let frameInterval = 1000 / 30;
+let lastFrameTime = 0;
+let frameId = null;
+
+// requestAnimationFrame isn't available in every worker
+const nextFrame = self.requestAnimationFrame
+  ? (cb) => self.requestAnimationFrame(cb)
+  : (cb) => setTimeout(() => cb(performance.now()), 16);
+const cancelFrame = self.cancelAnimationFrame
+  ? (id) => self.cancelAnimationFrame(id)
+  : (id) => clearTimeout(id);
+
+/**
+ * Animation loop, throttled to the target FPS
+ */
+function animate(timestamp) {
+  if (!isRunning) return;
+
+  const elapsed = timestamp - lastFrameTime;
+  if (elapsed >= frameInterval) {
+    lastFrameTime = timestamp - (elapsed % frameInterval);
+
+    // Report render time so StaticEffect can auto-downscale
+    const frameStart = performance.now();
+    noise.render(intensity, ghosting, soft);
+    self.postMessage({ type: 'frameTime', ms: performance.now() - frameStart });
+  }
+
+  frameId = nextFrame(animate);
+}
+
+function start() {
+  if (isRunning || !noise) return;
+  isRunning = true;
+  lastFrameTime = 0;
+  animate(0);
+}
+
+function stop() {
+  isRunning = false;
+  if (frameId !== null) {
+    cancelFrame(frameId);
+    frameId = null;
+  }
+  noise?.clear();
+}
+
+/**
+ * Messages from StaticEffect
+ * - init: { canvas, width, height, fps, intensity, ghosting, soft, running }
+ * - resize: { width, height }
+ * - set: { intensity?, ghosting?, soft?, fps? }
+ * - start / stop
+ */
+self.onmessage = (e) => {
+  const msg = e.data;
+
+  switch (msg.type) {
+    case 'init':
+      canvas = msg.canvas;
+      canvas.width = msg.width;
+      canvas.height = msg.height;
+      noise = new StaticNoise(canvas.getContext('2d'));
+      frameInterval = 1000 / msg.fps;
+      intensity = msg.intensity;
+      ghosting = msg.ghosting;
+      soft = msg.soft;
+      if (msg.running) start();
+      break;
+    case 'resize':
+      if (!canvas) return;
+      canvas.width = msg.width;
+      canvas.height = msg.height;
+      break;
+    case 'set':
+      if (typeof msg.intensity === 'number') intensity = msg.intensity;
+      if (typeof msg.ghosting === 'boolean') ghosting = msg.ghosting;
+      if (typeof msg.soft === 'boolean') soft = msg.soft;
+      if (typeof msg.fps === 'number') frameInterval = 1000 / msg.fps;
+      break;
+    case 'start':
+      start();
+      break;
+    case 'stop':
+      stop();
+      break;
+  }
+};
+
+self.postMessage({ type: 'ready' });
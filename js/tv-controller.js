@@ -8,12 +8,65 @@
  * Manages TV power state, channels, and display
  */
 class TVController {
-  constructor() {
+  /**
+   * @param {Object} options - Where the TV lives and what it uses (defaults are the page's own TV):
+   *   - root: Document, ShadowRoot or element holding the TV markup
+   *   - stateElement: Element that gets state classes like safe-mode
+   *     (default: body for a document, otherwise the .tv-container or the root itself)
+   *   - data: Channel list from ProjectData.create(), or an array of channels
+   *     (default window.ProjectData)
+   *   - audio: Sound service with the AudioManager methods (default window.audioManager,
+   *     null for a silent TV)
+   *   - staticEffect: StaticEffect for the snow (default: one on the root's #staticCanvas)
+   *   - keyboardTarget: Where key presses are heard (default: the root, so only a
+   *     focused TV reacts - a document root hears the whole page)
+   *   - router: Follow and update the URL hash for deep links (default true)
+   *   - workerUrl: Static noise worker script
+   */
+  constructor(options = {}) {
+    this.root = options.root ?? document;
+    this.stateElement = options.stateElement ??
+      this.root.body ?? this.root.querySelector('.tv-container') ?? this.root.host ?? this.root;
+    this.data = Array.isArray(options.data)
+      ? window.ProjectData.create(options.data)
+      : options.data ?? window.ProjectData;
+    this.audio = options.audio === undefined ? window.audioManager ?? null : options.audio;
+
+    // Configuration
+    this.options = {
+      keyboardTarget: options.keyboardTarget ?? this.root.host ?? this.root,
+      router: options.router ?? true,
+      workerUrl: options.workerUrl,
+      staticEffect: options.staticEffect ?? null
+    };
+
+    // Event listeners to remove in destroy(): { target, type, handler }
+    this.listeners = [];
+
     // State
     this.isOn = false;
     this.currentChannel = 1;
     this.isTransitioning = false;
+    this.afterTransition = null; // Last action that arrived mid-transition, run once it ends
+    this.noSignal = false; // Tuned to a deep link with no matching channel
+    this.destroyed = false; // Set by destroy(); async work checks it after every wait
+
+    // Direct channel entry (digit keys)
+    this.channelEntry = '';
+    this.channelEntryTimer = null;
+    this.channelEntryTimeout = 1500;
+    this.osdTimer = null;
+    this.infoTimer = null;
+    this.volumeOsdTimer = null;
+    this.announceTimer = null;
     this.volume = 50;
+    this.safeMode = false;      // Photosensitivity-safe: no flashing, rolling or harsh static
+    this.safeModeChosen = false; // Set by hand, so stop following prefers-reduced-motion
+    this.safeModeStorageKey = 'retroTV.safeMode';
+    this.onSafeModeChange = null; // (enabled) => {} for effects outside the TV (CRT shader)
+    this.onEvent = null;          // (name, detail) => {} - the app's public event bus
+    this.analogTuning = true; // Channel knob can rest between stations
+    this.channelDetent = 30;  // Degrees per channel click on the endless dial (0 = 270° sweep)
 
     // DOM Elements
     this.elements = {
@@ -31,20 +84,42 @@ class TVController {
       antennaRight: null,
       previewContainer: null,
       previewFrame: null,
-      projectDisplay: null
+      projectDisplay: null,
+      noSignal: null,
+      infoBanner: null,
+      volumeOsd: null,
+      powerButton: null,
+      announcer: null
     };
 
     // Preview state tracking
     this.previewLoaded = false;
+    this.previewChannel = null; // Channel the preview being loaded belongs to
 
     // Components
     this.staticEffect = null;
     this.channelKnob = null;
     this.volumeKnob = null;
+    this.router = null;
+    this.guide = null;
+    this.signal = null;
+    this.input = null;
 
     // Transition effects
     this.transitionEffects = ['static', 'roll', 'glitch', 'fade'];
     this.currentEffect = 'static';
+    this.pinnedEffect = null;
+
+    // Transition choreographies, keyed by effect name.
+    // Each entry: { duration: ms, play: async (swap, tv) => {} }
+    // play() must call swap() once, at the point the new channel should appear.
+    this.transitions = {
+      static: { duration: 400, play: (swap) => this.transitionStatic(swap) },
+      roll: { duration: 800, play: (swap) => this.transitionRoll(swap) },
+      glitch: { duration: 600, play: (swap) => this.transitionGlitch(swap) },
+      fade: { duration: 700, play: (swap) => this.transitionFade(swap) },
+      crossfade: { duration: 700, play: (swap) => this.transitionCrossfade(swap) }
+    };
   }
 
   /**
@@ -52,193 +127,549 @@ class TVController {
    */
   init() {
     // Get DOM elements
-    this.elements.screen = document.getElementById('tvScreen');
-    this.elements.screenContent = document.getElementById('screenContent');
-    this.elements.screenOff = document.getElementById('screenOff');
-    this.elements.channelNumber = document.getElementById('channelNumber');
-    this.elements.projectTitle = document.getElementById('projectTitle');
-    this.elements.projectDescription = document.getElementById('projectDescription');
-    this.elements.projectThumbnail = document.getElementById('projectThumbnail');
-    this.elements.projectIcon = document.getElementById('projectIcon');
-    this.elements.projectUrl = document.getElementById('projectUrl');
-    this.elements.powerIndicator = document.getElementById('powerIndicator');
-    this.elements.antennaLeft = document.querySelector('.antenna-left');
-    this.elements.antennaRight = document.querySelector('.antenna-right');
-    this.elements.previewContainer = document.getElementById('previewContainer');
-    this.elements.previewFrame = document.getElementById('previewFrame');
-    this.elements.projectDisplay = document.getElementById('projectDisplay');
+    this.elements.screen = this.find('tvScreen');
+    this.elements.screenContent = this.find('screenContent');
+    this.elements.screenOff = this.find('screenOff');
+    this.elements.channelNumber = this.find('channelNumber');
+    this.elements.projectTitle = this.find('projectTitle');
+    this.elements.projectDescription = this.find('projectDescription');
+    this.elements.projectThumbnail = this.find('projectThumbnail');
+    this.elements.projectIcon = this.find('projectIcon');
+    this.elements.projectUrl = this.find('projectUrl');
+    this.elements.powerIndicator = this.find('powerIndicator');
+    this.elements.antennaLeft = this.root.querySelector('.antenna-left');
+    this.elements.antennaRight = this.root.querySelector('.antenna-right');
+    this.elements.previewContainer = this.find('previewContainer');
+    this.elements.previewFrame = this.find('previewFrame');
+    this.elements.projectDisplay = this.find('projectDisplay');
+    this.elements.noSignal = this.find('noSignal');
+    this.elements.infoBanner = this.find('infoBanner');
+    this.elements.volumeOsd = this.find('volumeOsd');
+    this.elements.powerButton = this.find('powerButton');
+    this.elements.announcer = this.find('tvAnnouncer');
 
     // Initialize static effect
-    this.staticEffect = new StaticEffect('staticCanvas');
+    this.staticEffect = this.options.staticEffect ?? new StaticEffect(this.find('staticCanvas'), {
+      workerUrl: this.options.workerUrl,
+      audio: this.audio
+    });
+
+    // Safe mode - saved choice, or follow the OS reduced-motion setting
+    this.initSafeMode();
+
+    // Reception quality / picture degradation
+    this.signal = new SignalSimulator(this);
 
     // Initialize knobs
     this.initKnobs();
 
+    // Program guide overlay
+    this.guide = new ProgramGuide(this);
+    this.guide.init(this.elements.screen);
+
+    // Commands, key bindings and input sources
+    this.initInput();
+
     // Bind button events
     this.bindEvents();
 
+    // Deep links - pick the starting channel from the URL hash
+    if (this.options.router) {
+      this.router = new ChannelRouter({
+        data: this.data,
+        onNavigate: (route) => this.applyRoute(route)
+      });
+      this.router.init();
+    }
+
     // Start in off state
-    this.updateDisplay();
+    this.applyRoute(this.router?.resolve() ?? null);
+  }
+
+  /**
+   * Find an element of this TV by id
+   * @param {string} id - Element id
+   */
+  find(id) {
+    return this.root.querySelector(`#${id}`);
+  }
+
+  /**
+   * Add an event listener that destroy() removes again
+   */
+  listen(target, type, handler) {
+    if (!target) return;
+    target.addEventListener(type, handler);
+    this.listeners.push({ target, type, handler });
+  }
+
+  /**
+   * Tear the TV down - listeners, timers, inputs, knobs, static and the guide.
+   * The TV markup is left in place.
+   */
+  destroy() {
+    this.destroyed = true;
+    this.afterTransition = null;
+    [this.channelEntryTimer, this.osdTimer, this.infoTimer, this.volumeOsdTimer, this.announceTimer]
+      .forEach(timer => clearTimeout(timer));
+
+    this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.listeners = [];
+
+    this.input?.destroy();
+    this.router?.destroy();
+    this.guide?.destroy();
+    this.signal?.suspend();
+    this.channelKnob?.destroy();
+    this.volumeKnob?.destroy();
+    this.staticEffect?.destroy();
+    this.stateElement?.classList.remove('safe-mode');
+
+    // A power-on or channel change still awaiting stops at its next step (see destroyed)
+    this.input = null;
+    this.router = null;
+    this.guide = null;
+    this.signal = null;
+    this.channelKnob = null;
+    this.volumeKnob = null;
+    this.staticEffect = null;
+    this.onEvent = null;
+    this.onSafeModeChange = null;
   }
 
   /**
    * Initialize rotatable knobs
    */
   initKnobs() {
-    const totalChannels = window.ProjectData.getTotalChannels();
+    const totalChannels = this.data.getTotalChannels();
 
-    // Channel knob - snaps to channel positions
-    const channelElement = document.getElementById('channelKnob');
+    // Channel knob - snaps to channel positions, or tunes between them in analog mode
+    const channelElement = this.find('channelKnob');
     if (channelElement) {
-      // Calculate snap positions for each channel
-      const angleRange = 270; // -135 to +135
-      const angleStep = angleRange / (totalChannels - 1);
-      const snapPositions = [];
-      for (let i = 0; i < totalChannels; i++) {
-        snapPositions.push(-135 + (i * angleStep));
-      }
-
       this.channelKnob = new KnobControl(channelElement, {
+        audio: this.audio,
+        label: 'Channel',
+        formatValue: (value) => this.getChannelLabel(value),
         minValue: 1,
         maxValue: totalChannels,
         step: 1,
         initialValue: 1,
         snap: true,
-        snapPositions: snapPositions,
+        snapPositions: this.getChannelSnapPositions(totalChannels),
+        endless: this.channelDetent > 0,
+        detentAngle: this.channelDetent,
+        analog: this.analogTuning,
+        inertia: true,
         onChange: (value, oldValue) => {
           if (this.isOn && value !== oldValue) {
             this.setChannel(value);
           }
+        },
+        onTune: (offset) => this.signal?.setDetune(offset),
+        onRelease: (value) => {
+          // A change may have been dropped while a transition was playing
+          if (this.isOn && value !== this.currentChannel) {
+            this.setChannel(value);
+          }
         }
       });
     }
 
-    // Volume knob - smooth rotation
-    const volumeElement = document.getElementById('volumeKnob');
+    // Volume knob - smooth rotation, starts at the saved volume
+    if (this.audio) {
+      this.volume = Math.round(this.audio.volume * 100);
+    }
+
+    const volumeElement = this.find('volumeKnob');
     if (volumeElement) {
       this.volumeKnob = new KnobControl(volumeElement, {
+        audio: this.audio,
+        label: 'Volume',
+        formatValue: (value) => `${value}%`,
         minValue: 0,
         maxValue: 100,
         step: 5,
-        initialValue: 50,
-        onChange: (value) => {
-          this.volume = value;
-          if (window.audioManager) {
-            window.audioManager.setVolume(value / 100);
-          }
-        }
+        fineStep: 1,
+        initialValue: this.volume,
+        onChange: (value) => this.applyVolume(value)
       });
     }
   }
 
+  // ======= SAFE MODE =======
+
   /**
-   * Bind button events
+   * Restore a saved safe mode choice, otherwise follow prefers-reduced-motion
    */
-  bindEvents() {
-    // Power button
-    const powerBtn = document.getElementById('powerButton');
-    if (powerBtn) {
-      powerBtn.addEventListener('click', () => this.togglePower());
-    }
+  initSafeMode() {
+    const query = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+    const saved = this.restoreSafeMode();
 
-    // Channel up/down buttons
-    const channelUp = document.getElementById('channelUp');
-    const channelDown = document.getElementById('channelDown');
+    this.safeModeChosen = saved !== null;
+    this.setSafeMode(saved ?? query?.matches ?? false);
 
-    if (channelUp) {
-      channelUp.addEventListener('click', () => {
-        if (this.isOn) this.nextChannel();
+    if (query?.addEventListener) {
+      this.listen(query, 'change', (e) => {
+        if (!this.safeModeChosen) this.setSafeMode(e.matches);
       });
     }
+  }
+
+  /**
+   * Photosensitivity-safe mode: no flashing or rolling, soft slow static,
+   * crossfades between channels
+   * @param {boolean} enabled
+   */
+  setSafeMode(enabled) {
+    this.safeMode = enabled;
+    this.stateElement?.classList.toggle('safe-mode', enabled);
+    this.staticEffect?.setSafeMode(enabled);
+
+    if (this.onSafeModeChange) {
+      this.onSafeModeChange(enabled);
+    }
+  }
 
-    if (channelDown) {
-      channelDown.addEventListener('click', () => {
-        if (this.isOn) this.prevChannel();
+  /**
+   * Toggle safe mode by hand and remember the choice
+   */
+  toggleSafeMode() {
+    this.setSafeMode(!this.safeMode);
+    this.safeModeChosen = true;
+    this.saveSafeMode();
+
+    if (this.isOn) {
+      this.showOsd(this.safeMode ? 'SAFE ON' : 'SAFE OFF');
+    }
+    this.announce(this.safeMode ? 'Safe mode on' : 'Safe mode off');
+  }
+
+  /**
+   * Saved safe mode choice
+   * @returns {boolean|null} null when never chosen by hand
+   */
+  restoreSafeMode() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.safeModeStorageKey));
+      return typeof saved?.enabled === 'boolean' ? saved.enabled : null;
+    } catch (e) {
+      return null; // Ignore unreadable storage
+    }
+  }
+
+  saveSafeMode() {
+    try {
+      localStorage.setItem(this.safeModeStorageKey, JSON.stringify({ enabled: this.safeMode }));
+    } catch (e) {
+      // Storage may be unavailable (private mode)
+    }
+  }
+
+  /**
+   * Switch the channel knob between analog tuning and click-stop channels
+   * @param {boolean} enabled
+   */
+  setAnalogTuning(enabled) {
+    this.analogTuning = enabled;
+    this.channelKnob?.configure({ analog: enabled });
+    this.signal?.setDetune(0);
+  }
+
+  /**
+   * Calculate channel knob snap angles, spread evenly over -135..+135
+   * @param {number} totalChannels - Number of channels
+   * @returns {number[]} Snap angle per channel
+   */
+  getChannelSnapPositions(totalChannels) {
+    if (totalChannels < 2) return [-135];
+
+    const angleRange = 270; // -135 to +135
+    const angleStep = angleRange / (totalChannels - 1);
+    const snapPositions = [];
+    for (let i = 0; i < totalChannels; i++) {
+      snapPositions.push(-135 + (i * angleStep));
+    }
+    return snapPositions;
+  }
+
+  /**
+   * Rebuild channel-dependent state after the channel list changes
+   * (e.g. once a channels.json manifest has loaded)
+   */
+  refreshChannels() {
+    const totalChannels = this.data.getTotalChannels();
+
+    if (this.currentChannel > totalChannels) {
+      this.currentChannel = 1;
+    }
+
+    if (this.channelKnob) {
+      this.channelKnob.configure({
+        maxValue: totalChannels,
+        snapPositions: this.getChannelSnapPositions(totalChannels)
       });
+      this.channelKnob.setValue(this.currentChannel, false);
     }
 
-    // Screen click - open project URL or turn on TV
-    const openProjectUrl = () => {
-      if (this.isOn && !this.isTransitioning) {
-        const project = window.ProjectData.getProject(this.currentChannel);
-        if (project?.url) {
-          window.open(project.url, '_blank');
-        }
-      }
-    };
+    // Slugs may have changed, so re-read the deep link before power-on
+    if (!this.isOn && this.router) {
+      this.applyRoute(this.router.resolve());
+    } else {
+      this.updateDisplay();
+    }
+  }
 
-    if (this.elements.screenContent) {
-      this.elements.screenContent.addEventListener('click', openProjectUrl);
+  /**
+   * Tune to a deep-linked route
+   * @param {Object|null} route - Result of ChannelRouter.resolve()
+   */
+  applyRoute(route) {
+    // Back/Forward mid-switch - follow it once the screen settles, so hash and channel agree
+    if (this.isTransitioning) {
+      this.afterTransition = () => this.applyRoute(route);
+      return;
+    }
+
+    const channel = route ? route.channel : 1;
+
+    if (!channel) {
+      this.showNoSignal();
+      return;
     }
 
-    // Also handle click on preview container
+    if (this.isOn) {
+      this.setChannel(channel, null, { updateHistory: false });
+      return;
+    }
+
+    // TV is off - just preselect so power-on lands on this channel
+    const from = this.getChannelForEvent();
+    this.noSignal = false;
+    this.currentChannel = channel;
+    this.channelKnob?.setValue(channel, false);
+    this.updateDisplay();
+
+    if (from !== channel) {
+      this.emit('channel:change', { from, to: channel });
+    }
+  }
+
+  /**
+   * Show the NO SIGNAL screen for a route with no matching channel
+   */
+  showNoSignal() {
+    this.noSignal = true;
+    this.signal?.suspend();
+    this.updateDisplay();
+
+    if (this.isOn && !this.isTransitioning) {
+      this.staticBurst(300);
+      this.announce('No signal');
+    }
+  }
+
+  /**
+   * Set up the command dispatcher and the built-in input sources
+   */
+  initInput() {
+    this.input = new InputManager();
+
+    // An element root only hears keys while focused - clicking the TV focuses it
+    const keyboardTarget = this.options.keyboardTarget;
+    if (keyboardTarget instanceof Element && !keyboardTarget.hasAttribute('tabindex')) {
+      keyboardTarget.tabIndex = -1;
+    }
+
+    const isOn = () => this.isOn;
+    const canChangeChannel = () => this.isOn && !this.guide?.isOpen;
+    const hasEntry = () => Boolean(this.channelEntry);
+
+    this.input.registerAll({
+      'power': () => this.togglePower(),
+      'power.on': { run: () => this.togglePower(), when: () => !this.isOn && !this.isTransitioning },
+      'channel.next': { run: () => this.nextChannel(), when: canChangeChannel },
+      'channel.prev': { run: () => this.prevChannel(), when: canChangeChannel },
+      'channel.set': { run: (channel) => this.setValidChannel(channel), when: canChangeChannel },
+      'channel.digit': { run: (digit) => this.enterDigit(String(digit)), when: isOn },
+      'channel.commit': { run: () => this.commitChannelEntry(), when: hasEntry },
+      'channel.cancel': { run: () => this.cancelChannelEntry(), when: hasEntry },
+      'volume.up': () => this.volumeUp(),
+      'volume.down': () => this.volumeDown(),
+      'volume.set': (value) => this.setVolume(Number(value)),
+      'channel.turn': (degrees) => this.channelKnob?.turn(Number(degrees)),
+      'channel.release': () => this.channelKnob?.release(),
+      'volume.turn': (degrees) => this.volumeKnob?.turn(Number(degrees)),
+      'volume.release': () => this.volumeKnob?.release(),
+      'channel.dial': (fraction) => this.channelKnob?.setFraction(Number(fraction)),
+      'volume.dial': (fraction) => this.volumeKnob?.setFraction(Number(fraction)),
+      'mute': () => this.toggleMute(),
+      'tune.fine': (delta) => this.fineTune(delta),
+      'guide': { run: () => this.toggleGuide(), when: isOn },
+      'info': () => this.showInfo(),
+      'open': { run: () => this.openProject(), when: () => this.canOpenProject() },
+      'select': {
+        run: () => (this.channelEntry ? this.commitChannelEntry() : this.openProject()),
+        when: () => hasEntry() || this.canOpenProject()
+      },
+      'safe': () => this.toggleSafeMode()
+    });
+
+    // Program guide takes navigation keys while open
+    this.input.addInterceptor((e) => this.guide?.handleKey(e) ?? false);
+
+    // Built-in sources
+    this.input.addSource('keyboard', new KeyboardInput(this.options.keyboardTarget));
+    this.input.addSource('wheel', new WheelInput(this.elements.screen));
+    this.input.addSource('swipe', new SwipeInput(this.elements.screen));
+  }
+
+  /**
+   * Bind the TV's own buttons and screen to commands
+   */
+  bindEvents() {
+    const bindClick = (element, command) => {
+      this.listen(element, 'click', () => this.input.dispatch(command));
+    };
+
+    // Power and channel up/down buttons
+    bindClick(this.find('powerButton'), 'power');
+    bindClick(this.find('channelUp'), 'channel.next');
+    bindClick(this.find('channelDown'), 'channel.prev');
+
+    // Screen click - open project URL (preview iframe covers the content)
+    bindClick(this.elements.screenContent, 'open');
+    bindClick(this.elements.previewContainer, 'open');
     if (this.elements.previewContainer) {
-      this.elements.previewContainer.addEventListener('click', openProjectUrl);
       this.elements.previewContainer.style.cursor = 'pointer';
     }
 
+    // Live previews only report load - cross-origin frames don't say when they fail
+    this.listen(this.elements.previewFrame, 'load', (e) => this.onPreviewLoad(e));
+
     // Click screen-off area to turn on TV
+    bindClick(this.elements.screenOff, 'power.on');
     if (this.elements.screenOff) {
-      this.elements.screenOff.addEventListener('click', () => {
-        if (!this.isOn && !this.isTransitioning) {
-          this.togglePower();
-        }
-      });
       this.elements.screenOff.style.cursor = 'pointer';
     }
+  }
 
-    // Keyboard controls
-    document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+  /**
+   * Whether the current channel can be opened
+   */
+  canOpenProject() {
+    return this.isOn && !this.isTransitioning && !this.noSignal;
+  }
 
-    // Mouse wheel on screen to change channels
-    if (this.elements.screen) {
-      this.elements.screen.addEventListener('wheel', (e) => {
-        if (!this.isOn || this.isTransitioning) return;
-        e.preventDefault();
-        if (e.deltaY < 0) {
-          this.nextChannel();
-        } else if (e.deltaY > 0) {
-          this.prevChannel();
-        }
-      }, { passive: false });
+  /**
+   * Open the current channel's project in a new tab
+   */
+  openProject() {
+    const project = this.data.getProject(this.currentChannel);
+    if (project?.url) {
+      window.open(project.url, '_blank');
     }
   }
 
+  // ======= DIRECT CHANNEL ENTRY =======
+
   /**
-   * Handle keyboard shortcuts
+   * Number of digits a channel number can have (at least 2, like the OSD)
    */
-  handleKeyboard(e) {
-    // Ignore if typing in input
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+  getChannelDigits() {
+    return Math.max(2, String(this.data.getTotalChannels()).length);
+  }
 
-    switch (e.key) {
-      case ' ':
-        e.preventDefault();
-        this.togglePower();
-        break;
-      case 'ArrowUp':
-      case 'w':
-        if (this.isOn) {
-          e.preventDefault();
-          this.nextChannel();
-        }
-        break;
-      case 'ArrowDown':
-      case 's':
-        if (this.isOn) {
-          e.preventDefault();
-          this.prevChannel();
-        }
-        break;
-      case 'Enter':
-        if (this.isOn) {
-          const project = window.ProjectData.getProject(this.currentChannel);
-          if (project?.url) {
-            window.open(project.url, '_blank');
-          }
-        }
-        break;
+  /**
+   * Add a digit to the channel being typed ("1_" -> "12")
+   * @param {string} digit - Single digit 0-9
+   */
+  enterDigit(digit) {
+    if (!this.isOn) return;
+
+    const digits = this.getChannelDigits();
+    this.channelEntry = (this.channelEntry + digit).slice(-digits);
+
+    // Show what's been typed so far, padded with underscores
+    this.showOsd(this.channelEntry.padEnd(digits, '_'), true);
+
+    if (this.audio) {
+      this.audio.playClick();
+    }
+
+    // Commit straight away once all digits are in, otherwise wait for more
+    clearTimeout(this.channelEntryTimer);
+    const wait = this.channelEntry.length >= digits ? 400 : this.channelEntryTimeout;
+    this.channelEntryTimer = setTimeout(() => this.commitChannelEntry(), wait);
+  }
+
+  /**
+   * Tune to the typed channel number
+   */
+  commitChannelEntry() {
+    clearTimeout(this.channelEntryTimer);
+    this.channelEntryTimer = null;
+
+    // Still switching - keep the number on screen and tune once the switch is done
+    if (this.isTransitioning) {
+      this.afterTransition = () => this.commitChannelEntry();
+      return;
     }
+
+    const channel = parseInt(this.channelEntry, 10);
+    this.channelEntry = '';
+    this.elements.channelNumber?.classList.remove('entering');
+
+    if (!this.isOn || Number.isNaN(channel)) return;
+
+    if (!this.data.getProject(channel)) {
+      this.showOsd('NO CHANNEL');
+      return;
+    }
+
+    if (channel === this.currentChannel && !this.noSignal) {
+      this.renderChannelNumber();
+      this.flashChannelNumber();
+      return;
+    }
+
+    this.setChannel(channel);
+  }
+
+  /**
+   * Abandon a half-typed channel number
+   */
+  cancelChannelEntry() {
+    clearTimeout(this.channelEntryTimer);
+    this.channelEntryTimer = null;
+    this.channelEntry = '';
+    this.elements.channelNumber?.classList.remove('entering');
+    this.renderChannelNumber();
+  }
+
+  /**
+   * Show text in the channel number OSD
+   * @param {string} text - Text to show
+   * @param {boolean} hold - Keep it on screen (while typing) instead of flashing
+   */
+  showOsd(text, hold = false) {
+    const osd = this.elements.channelNumber;
+    if (!osd) return;
+
+    clearTimeout(this.osdTimer);
+    osd.textContent = text;
+
+    if (hold) {
+      osd.classList.add('entering');
+      return;
+    }
+
+    osd.classList.remove('entering', 'show');
+    // Force reflow
+    void osd.offsetWidth;
+    osd.classList.add('show');
+
+    // Put the real channel number back once the flash has faded
+    this.osdTimer = setTimeout(() => this.renderChannelNumber(), 2000);
   }
 
   /**
@@ -248,8 +679,8 @@ class TVController {
     if (this.isTransitioning) return;
 
     // Initialize audio on first interaction
-    if (window.audioManager && !window.audioManager.initialized) {
-      window.audioManager.init();
+    if (this.audio && !this.audio.initialized) {
+      this.audio.init();
     }
 
     if (this.isOn) {
@@ -267,8 +698,8 @@ class TVController {
     this.isTransitioning = true;
 
     // Play power on sound
-    if (window.audioManager) {
-      window.audioManager.playPowerOn();
+    if (this.audio) {
+      this.audio.playPowerOn();
     }
 
     // Update indicator
@@ -283,6 +714,7 @@ class TVController {
 
     // Wait for warmup
     await this.delay(800);
+    if (this.destroyed) return;
 
     // Stop static, show content
     this.staticEffect?.stop();
@@ -290,6 +722,7 @@ class TVController {
     this.elements.screen?.classList.add('on', 'warming-up');
 
     this.isOn = true;
+    this.updatePowerButton();
     this.updateDisplay();
 
     // Show content with fade
@@ -297,9 +730,14 @@ class TVController {
 
     // Remove warming-up class after animation
     await this.delay(1000);
+    if (this.destroyed) return;
     this.elements.screen?.classList.remove('warming-up');
 
     this.isTransitioning = false;
+    this.tuneSignal();
+    this.announce(`TV on. ${this.describeChannel()}`);
+    this.emit('power:on', { channel: this.getChannelForEvent() });
+    this.runAfterTransition();
   }
 
   /**
@@ -317,32 +755,20 @@ class TVController {
     this.elements.screenOff?.classList.add('hidden');
 
     // Show static during warmup (visual only, no sound)
-    if (this.staticEffect) {
-      this.staticEffect.isRunning = true;
-      this.staticEffect.canvas?.classList.add('active');
-      this.staticEffect.lastFrameTime = 0;
-      this.staticEffect.animate(0);
-    }
+    this.staticEffect?.start(null, { silent: true });
 
     // Wait for warmup
     await this.delay(800);
+    if (this.destroyed) return;
 
     // Stop static, show content
-    if (this.staticEffect) {
-      this.staticEffect.isRunning = false;
-      this.staticEffect.canvas?.classList.remove('active');
-      if (this.staticEffect.animationId) {
-        cancelAnimationFrame(this.staticEffect.animationId);
-      }
-      if (this.staticEffect.ctx) {
-        this.staticEffect.ctx.clearRect(0, 0, this.staticEffect.canvas.width, this.staticEffect.canvas.height);
-      }
-    }
+    this.staticEffect?.stop();
 
     this.elements.screen?.classList.remove('powering-on');
     this.elements.screen?.classList.add('on', 'warming-up');
 
     this.isOn = true;
+    this.updatePowerButton();
     this.updateDisplay();
 
     // Show content with fade
@@ -350,9 +776,14 @@ class TVController {
 
     // Remove warming-up class after animation
     await this.delay(1000);
+    if (this.destroyed) return;
     this.elements.screen?.classList.remove('warming-up');
 
     this.isTransitioning = false;
+    this.tuneSignal();
+    this.announce(`TV on. ${this.describeChannel()}`);
+    this.emit('power:on', { channel: this.getChannelForEvent() });
+    this.runAfterTransition();
   }
 
   /**
@@ -363,10 +794,12 @@ class TVController {
     this.isTransitioning = true;
 
     // Play power off sound
-    if (window.audioManager) {
-      window.audioManager.playPowerOff();
+    if (this.audio) {
+      this.audio.playPowerOff();
     }
 
+    this.signal?.suspend();
+
     // Hide content
     this.elements.screenContent?.classList.remove('visible');
 
@@ -374,52 +807,154 @@ class TVController {
     this.elements.screen?.classList.add('powering-off');
 
     await this.delay(500);
+    if (this.destroyed) return;
 
     // Update state
     this.isOn = false;
+    this.cancelChannelEntry();
+    this.guide?.close();
+    this.elements.infoBanner?.classList.remove('visible');
     this.elements.screen?.classList.remove('on', 'powering-off');
     this.elements.screenOff?.classList.remove('hidden');
     this.elements.powerIndicator?.classList.remove('on');
+    this.updatePowerButton();
 
     this.isTransitioning = false;
+    this.announce('TV off');
+    this.emit('power:off');
+    this.runAfterTransition();
+  }
+
+  /**
+   * Expose the power state on the power button
+   */
+  updatePowerButton() {
+    this.elements.powerButton?.setAttribute('aria-pressed', String(this.isOn));
   }
 
   /**
    * Set channel
+   * @param {number} channel - Channel number
+   * @param {string|null} effect - Transition effect (random if null)
+   * @param {Object} options - { updateHistory: false } when replaying history
    */
-  async setChannel(channel, effect = null) {
+  async setChannel(channel, effect = null, options = {}) {
     if (!this.isOn || this.isTransitioning) return;
-    if (channel === this.currentChannel) return;
+    if (channel === this.currentChannel && !this.noSignal) return;
 
     this.isTransitioning = true;
     const useEffect = effect || this.getRandomEffect();
+    this.currentEffect = useEffect;
+    const change = { from: this.getChannelForEvent(), to: channel };
 
     // Animate antennas
     this.animateAntennas();
 
-    // Play transition based on effect
-    await this.playTransition(useEffect);
-
-    // Update channel
-    this.currentChannel = channel;
-    this.updateDisplay();
+    // Transitions bring their own static
+    this.signal?.suspend();
+
+    // Play transition based on effect, swapping channel mid-way
+    await this.playTransition(useEffect, () => {
+      this.currentChannel = channel;
+      this.noSignal = false;
+      this.updateDisplay();
+      this.emit('channel:change', change);
+    }, change);
+    if (this.destroyed) return;
+
+    // Record in browser history so back/forward step through channels
+    if (options.updateHistory !== false) {
+      this.router?.push(channel);
+    }
 
-    // Update knob position if changed via buttons
-    if (this.channelKnob) {
+    // Update knob position if changed via buttons (leave it alone while it's being turned)
+    if (this.channelKnob && !this.channelKnob.isTuning()) {
       this.channelKnob.setValue(channel, false);
+      this.signal?.setDetune(0);
     }
 
     // Show channel number briefly
     this.flashChannelNumber();
 
     this.isTransitioning = false;
+    this.tuneSignal();
+    this.announce(this.describeChannel());
+    this.runAfterTransition();
+  }
+
+  /**
+   * Run the action held back by a transition (only the latest one is kept)
+   */
+  runAfterTransition() {
+    const action = this.afterTransition;
+    this.afterTransition = null;
+    action?.();
+  }
+
+  /**
+   * Set a channel that came from outside (key binding, MIDI, gamepad); unknown ones are ignored
+   * @param {*} channel - Channel number
+   */
+  setValidChannel(channel) {
+    const number = Number(channel);
+    if (Number.isInteger(number) && this.data.getProject(number)) {
+      this.setChannel(number);
+    }
+  }
+
+  /**
+   * Tune to a channel by number or slug (preselects it while the TV is off)
+   * @param {number|string} id - Channel number or slug
+   * @returns {Promise<boolean>} False for an unknown channel
+   */
+  async tune(id) {
+    const project = /^\d+$/.test(String(id))
+      ? this.data.getProject(Number(id))
+      : this.data.getProjectBySlug(String(id));
+    if (!project) {
+      console.warn(`Unknown channel "${id}"`);
+      return false;
+    }
+
+    if (this.isOn) {
+      await this.setChannel(project.id);
+    } else {
+      this.applyRoute({ channel: project.id });
+    }
+    return true;
+  }
+
+  /**
+   * Start simulating reception for the current channel
+   */
+  tuneSignal() {
+    if (!this.signal || !this.isOn) return;
+
+    if (this.noSignal) {
+      this.signal.suspend();
+      return;
+    }
+
+    this.signal.tune(this.data.getProject(this.currentChannel));
+  }
+
+  /**
+   * Nudge fine tuning and show the signal meter
+   * @param {number} delta - Change in fine-tune offset (-1..1 range)
+   */
+  fineTune(delta) {
+    if (!this.isOn || this.noSignal || this.isTransitioning || !this.signal) return;
+
+    const quality = this.signal.adjustFineTune(delta);
+    const percent = Math.round(quality * 100);
+    this.showMeter('FINE TUNE', percent, `${percent}%`, quality < 0.5);
   }
 
   /**
    * Next channel
    */
   nextChannel() {
-    const next = window.ProjectData.getNextChannel(this.currentChannel);
+    const next = this.data.getNextChannel(this.currentChannel);
     this.setChannel(next);
   }
 
@@ -427,35 +962,341 @@ class TVController {
    * Previous channel
    */
   prevChannel() {
-    const prev = window.ProjectData.getPrevChannel(this.currentChannel);
+    const prev = this.data.getPrevChannel(this.currentChannel);
     this.setChannel(prev);
   }
 
+  /**
+   * Set volume, keeping the volume knob in sync
+   * @param {number} value - Volume 0-100
+   */
+  setVolume(value) {
+    const volume = Math.max(0, Math.min(100, value));
+
+    if (this.volumeKnob) {
+      // Knob onChange applies the volume
+      this.volumeKnob.setValue(volume);
+    } else {
+      this.applyVolume(volume);
+    }
+  }
+
+  /**
+   * Apply a new volume level and show it on screen
+   * @param {number} value - Volume 0-100
+   */
+  applyVolume(value) {
+    this.volume = value;
+
+    if (this.audio) {
+      // Turning the volume knob unmutes, like a real set
+      if (this.audio.muted) {
+        this.audio.setMuted(false);
+      }
+      this.audio.setVolume(value / 100);
+    }
+
+    this.showVolumeOsd();
+    this.emit('volume:change', { volume: value, muted: false });
+  }
+
+  /**
+   * Toggle mute
+   */
+  toggleMute() {
+    if (!this.audio) return;
+
+    this.audio.toggleMute();
+    this.showVolumeOsd();
+    this.announce(this.audio.muted ? 'Sound muted' : 'Sound on');
+    this.emit('volume:change', { volume: this.volume, muted: this.audio.muted });
+  }
+
+  /**
+   * Show the volume bar (or MUTE) on screen for a couple of seconds
+   */
+  showVolumeOsd() {
+    const muted = this.audio?.muted ?? false;
+    this.showMeter('VOLUME', muted ? 0 : this.volume, muted ? 'MUTE' : String(this.volume), muted);
+  }
+
+  /**
+   * Show the on-screen bar meter (volume, fine tune) for a couple of seconds
+   * @param {string} label - Text before the bar
+   * @param {number} percent - Bar fill 0-100
+   * @param {string} text - Text after the bar
+   * @param {boolean} alert - Show in warning colour (muted, poor signal)
+   */
+  showMeter(label, percent, text, alert = false) {
+    const osd = this.elements.volumeOsd;
+    if (!osd || !this.isOn) return;
+
+    osd.classList.toggle('muted', alert);
+    osd.querySelector('.volume-label').textContent = label;
+    osd.querySelector('.volume-fill').style.width = `${percent}%`;
+    osd.querySelector('.volume-value').textContent = text;
+
+    osd.classList.add('visible');
+    clearTimeout(this.volumeOsdTimer);
+    this.volumeOsdTimer = setTimeout(() => osd.classList.remove('visible'), 2000);
+  }
+
+  /**
+   * Volume up one step
+   */
+  volumeUp() {
+    this.setVolume(this.volume + 5);
+  }
+
+  /**
+   * Volume down one step
+   */
+  volumeDown() {
+    this.setVolume(this.volume - 5);
+  }
+
+  /**
+   * Open/close the program guide
+   */
+  toggleGuide() {
+    if (!this.isOn || this.isTransitioning) return;
+    this.guide?.toggle();
+  }
+
+  /**
+   * Show the channel info banner (number, title, description) for a few seconds
+   */
+  showInfo() {
+    if (!this.isOn || !this.elements.infoBanner) return;
+
+    const project = this.data.getProject(this.currentChannel);
+    const banner = this.elements.infoBanner;
+
+    if (this.noSignal || !project) {
+      banner.querySelector('.info-title').textContent = 'NO SIGNAL';
+      banner.querySelector('.info-description').textContent = '';
+    } else {
+      banner.querySelector('.info-title').textContent = project.title;
+      banner.querySelector('.info-description').textContent = project.description;
+    }
+
+    this.renderChannelNumber();
+    this.flashChannelNumber();
+
+    banner.classList.add('visible');
+    clearTimeout(this.infoTimer);
+    this.infoTimer = setTimeout(() => banner.classList.remove('visible'), 3000);
+
+    this.announce(this.describeChannel());
+  }
+
+  // ======= SCREEN READER =======
+
+  /**
+   * Read a message out through the live region
+   * @param {string} message
+   */
+  announce(message) {
+    const region = this.elements.announcer;
+    if (!region || this.destroyed) return;
+
+    // Clear first so the same message is read again when repeated
+    region.textContent = '';
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => {
+      region.textContent = message;
+    }, 100);
+  }
+
+  /**
+   * Spoken description of the current channel
+   * e.g. "Channel 3, Clickbait Hider – Browser extension…"
+   */
+  describeChannel() {
+    const project = this.data.getProject(this.currentChannel);
+    if (this.noSignal || !project) return 'No signal';
+
+    return `Channel ${project.id}, ${project.title} – ${project.description}`;
+  }
+
+  /**
+   * Short channel name for the channel knob's value text
+   * @param {number} channel - Channel number
+   */
+  getChannelLabel(channel) {
+    const project = this.data.getProject(channel);
+    return project ? `Channel ${channel}, ${project.title}` : `Channel ${channel}`;
+  }
+
   /**
    * Play channel transition effect
+   * @param {string} effect - Name of a registered transition
+   * @param {Function} swap - Called once when the new channel should appear
+   * @param {Object} detail - Extra transition:start/end payload ({ from, to })
    */
-  async playTransition(effect) {
-    // Add switching class for CSS animations
-    this.elements.screen?.classList.add('switching');
+  async playTransition(effect, swap = () => {}, detail = {}) {
+    // Safe mode always gets the gentle crossfade
+    const name = this.safeMode ? 'crossfade' : effect;
+    const transition = this.transitions[name] || this.transitions.static;
+    const event = { effect: this.transitions[name] ? name : 'static', ...detail };
+    this.emit('transition:start', event);
+
+    let swapped = false;
+    const swapOnce = () => {
+      if (swapped || this.destroyed) return;
+      swapped = true;
+      swap();
+    };
 
-    // Show static burst with timeout safety
+    // Run the choreography with timeout safety
     try {
       await Promise.race([
-        this.staticEffect?.burst(400) || Promise.resolve(),
-        new Promise(resolve => setTimeout(resolve, 500))
+        transition.play(swapOnce, this),
+        this.delay(transition.duration + 100)
       ]);
     } catch (e) {
       // Ignore errors
     }
 
-    // Remove switching class
+    // Make sure the channel changes even if the effect bailed out
+    swapOnce();
+    this.clearTransitionClasses();
+    this.emit('transition:end', event);
+  }
+
+  /**
+   * Static: white noise burst over a shaky picture
+   */
+  async transitionStatic(swap) {
+    this.elements.screen?.classList.add('switching');
+    await this.staticBurst(400);
+    swap();
     this.elements.screen?.classList.remove('switching');
   }
 
   /**
-   * Get random transition effect
+   * Roll: picture rolls up out of frame, brief snow, new picture rolls in
+   */
+  async transitionRoll(swap) {
+    this.elements.screen?.classList.add('rolling');
+    await this.delay(300);
+    this.elements.screen?.classList.remove('rolling');
+
+    await this.staticBurst(100);
+    swap();
+
+    this.elements.screenContent?.classList.add('roll-in');
+    await this.delay(400); // rollIn runs 0.4s
+    this.elements.screenContent?.classList.remove('roll-in');
+  }
+
+  /**
+   * Glitch: jittering hue-shifted picture with stuttering static, RGB split on arrival
+   */
+  async transitionGlitch(swap) {
+    this.elements.screen?.classList.add('glitch');
+    if (this.audio) {
+      this.audio.playClick();
+    }
+
+    await this.staticBurst(80);
+    await this.delay(60);
+    await this.staticBurst(80);
+    swap();
+    this.elements.screen?.classList.remove('glitch');
+
+    this.elements.screenContent?.classList.add('rgb-split');
+    await this.delay(300);
+    this.elements.screenContent?.classList.remove('rgb-split');
+  }
+
+  /**
+   * Fade: picture dissolves into static, then fades back in on the new channel
+   */
+  async transitionFade(swap) {
+    this.elements.screenContent?.classList.add('fade-to-static');
+    this.staticEffect?.start();
+    await this.delay(300);
+
+    swap();
+    this.elements.screenContent?.classList.remove('fade-to-static');
+    this.elements.screenContent?.classList.add('fade-from-static');
+    await this.delay(100);
+    this.staticEffect?.stop();
+
+    await this.delay(300);
+    this.elements.screenContent?.classList.remove('fade-from-static');
+  }
+
+  /**
+   * Crossfade: picture dims out and back in, no static (safe mode)
+   */
+  async transitionCrossfade(swap) {
+    this.elements.screenContent?.classList.add('crossfade-out');
+    await this.delay(300);
+
+    swap();
+    this.elements.screenContent?.classList.remove('crossfade-out');
+    this.elements.screenContent?.classList.add('crossfade-in');
+
+    await this.delay(300);
+    this.elements.screenContent?.classList.remove('crossfade-in');
+  }
+
+  /**
+   * Play a static burst, resolving even if the static effect is unavailable
+   * @param {number} duration - Duration in ms
+   */
+  staticBurst(duration) {
+    return this.staticEffect?.burst(duration) || Promise.resolve();
+  }
+
+  /**
+   * Remove any classes left behind by an interrupted transition
+   */
+  clearTransitionClasses() {
+    this.elements.screen?.classList.remove('switching', 'rolling', 'glitch');
+    this.elements.screenContent?.classList.remove(
+      'roll-in', 'rgb-split', 'fade-to-static', 'fade-from-static', 'crossfade-out', 'crossfade-in'
+    );
+  }
+
+  /**
+   * Register a custom transition effect
+   * @param {string} name - Effect name (used by setChannel and pinEffect)
+   * @param {Function} play - async (swap, tv) => {}; must call swap() once
+   * @param {number} duration - Expected duration in ms (used for timeout safety)
+   */
+  registerTransition(name, play, duration = 500) {
+    if (typeof play !== 'function') {
+      console.error(`Transition "${name}" needs a play function`);
+      return;
+    }
+
+    this.transitions[name] = { duration, play };
+    if (!this.transitionEffects.includes(name)) {
+      this.transitionEffects.push(name);
+    }
+  }
+
+  /**
+   * Always use one transition effect instead of picking at random
+   * @param {string|null} name - Effect name, or null to go back to random
+   */
+  pinEffect(name) {
+    if (name && !this.transitions[name]) {
+      console.warn(`Unknown transition effect "${name}"`);
+      return;
+    }
+    this.pinnedEffect = name;
+  }
+
+  /**
+   * Get random transition effect (or the pinned one)
    */
   getRandomEffect() {
+    if (this.pinnedEffect) return this.pinnedEffect;
+
     const index = Math.floor(Math.random() * this.transitionEffects.length);
     return this.transitionEffects[index];
   }
@@ -464,14 +1305,23 @@ class TVController {
    * Update screen display with current channel
    */
   updateDisplay() {
-    const project = window.ProjectData.getProject(this.currentChannel);
+    // Unknown deep link - show NO SIGNAL instead of a channel
+    this.elements.noSignal?.classList.toggle('visible', this.noSignal);
+    if (this.noSignal) {
+      this.renderChannelNumber();
+      if (this.elements.previewFrame) {
+        this.elements.previewFrame.src = 'about:blank';
+      }
+      this.elements.previewContainer?.classList.remove('active');
+      return;
+    }
+
+    const project = this.data.getProject(this.currentChannel);
 
     if (!project) return;
 
     // Update channel number
-    if (this.elements.channelNumber) {
-      this.elements.channelNumber.textContent = String(project.id).padStart(2, '0');
-    }
+    this.renderChannelNumber();
 
     // Update project info (for fallback display)
     if (this.elements.projectTitle) {
@@ -510,12 +1360,27 @@ class TVController {
     this.loadPreview(project);
   }
 
+  /**
+   * Write the current channel number into the OSD
+   */
+  renderChannelNumber() {
+    if (!this.elements.channelNumber || this.channelEntry) return;
+
+    const project = this.data.getProject(this.currentChannel);
+    this.elements.channelNumber.textContent = this.noSignal || !project
+      ? '--'
+      : String(project.id).padStart(2, '0');
+  }
+
   /**
    * Load preview - icon fallback, screenshot, or live proxy
    */
   loadPreview(project) {
     if (!this.elements.previewContainer) return;
 
+    this.previewLoaded = false;
+    this.previewChannel = project.id;
+
     // Reset iframe src to stop any pending loads
     if (this.elements.previewFrame) {
       this.elements.previewFrame.src = 'about:blank';
@@ -533,6 +1398,8 @@ class TVController {
       img = document.createElement('img');
       img.className = 'preview-screenshot';
       img.style.cssText = 'width:100%;height:100%;object-fit:cover;object-position:top;';
+      this.listen(img, 'load', (e) => this.onPreviewLoad(e));
+      this.listen(img, 'error', (e) => this.onPreviewError(e));
       this.elements.previewContainer.appendChild(img);
     }
 
@@ -558,6 +1425,32 @@ class TVController {
     }
   }
 
+  /**
+   * Screenshot or live preview finished loading
+   */
+  onPreviewLoad(e) {
+    const src = e.target.src;
+    if (!src || src === 'about:blank' || e.target.style.display === 'none') return;
+    if (this.previewLoaded) return; // Live pages can navigate inside the frame
+
+    this.previewLoaded = true;
+    this.emit('preview:load', {
+      channel: this.previewChannel,
+      type: e.target === this.elements.previewFrame ? 'live' : 'screenshot',
+      src
+    });
+  }
+
+  /**
+   * Screenshot failed to load
+   */
+  onPreviewError(e) {
+    const src = e.target.src;
+    if (!src || e.target.style.display === 'none') return;
+
+    this.emit('preview:error', { channel: this.previewChannel, type: 'screenshot', src });
+  }
+
   /**
    * Flash channel number on screen
    */
@@ -570,8 +1463,8 @@ class TVController {
     this.elements.channelNumber.classList.add('show');
 
     // Play click
-    if (window.audioManager) {
-      window.audioManager.playClick();
+    if (this.audio) {
+      this.audio.playClick();
     }
   }
 
@@ -588,6 +1481,25 @@ class TVController {
     }, 500);
   }
 
+  // ======= EVENTS =======
+
+  /**
+   * Report something that happened to the app's event bus
+   * @param {string} name - Event name, e.g. 'channel:change'
+   * @param {Object} detail - Event payload
+   */
+  emit(name, detail = {}) {
+    if (this.destroyed) return;
+    this.onEvent?.(name, detail);
+  }
+
+  /**
+   * Current channel for event payloads (null on the NO SIGNAL screen)
+   */
+  getChannelForEvent() {
+    return this.noSignal ? null : this.currentChannel;
+  }
+
   /**
    * Utility: delay
    */